@@ -0,0 +1,35 @@
+import React from "react";
+
+import { getClassName, getDefaultRegistry } from "../utils";
+import IconButton from "./IconButton";
+
+export default function AddButton(props) {
+  const {
+    className,
+    onClick,
+    disabled,
+    classNames = getDefaultRegistry().classNames,
+  } = props;
+  const wrapperClassName = [
+    getClassName(classNames, "column", { width: 3 }),
+    getClassName(classNames, "columnOffset", { width: 9 }),
+    className,
+    getClassName(classNames, "alignRight"),
+  ].join(" ");
+  const buttonClassName = getClassName(classNames, "column", { width: 12 });
+  return (
+    <div className={getClassName(classNames, "row")}>
+      <p className={wrapperClassName}>
+        <IconButton
+          type="info"
+          icon="plus"
+          className={`btn-add ${buttonClassName}`}
+          classNames={classNames}
+          tabIndex="0"
+          onClick={onClick}
+          disabled={disabled}
+        />
+      </p>
+    </div>
+  );
+}
@@ -1,17 +1,45 @@
 import React from "react";
 
+import { getClassName, getDefaultRegistry, getErrorFieldId } from "../utils";
+
 export default function ErrorList(props) {
-  const { errors } = props;
+  const {
+    errors,
+    idSchema,
+    onErrorClick,
+    translate,
+    classNames = getDefaultRegistry().classNames,
+  } = props;
+  const itemClassName = [
+    getClassName(classNames, "listItem"),
+    getClassName(classNames, "errorText"),
+  ].join(" ");
   return (
-    <div className="panel panel-danger errors">
-      <div className="panel-heading">
-        <h3 className="panel-title">Errors</h3>
+    <div
+      className={`${getClassName(classNames, "panel", {
+        type: "danger",
+      })} errors`}>
+      <div className={getClassName(classNames, "panelHeading")}>
+        <h3 className={getClassName(classNames, "panelTitle")}>
+          {translate("Errors")}
+        </h3>
       </div>
-      <ul className="list-group">
+      <ul className={getClassName(classNames, "list")}>
         {errors.map((error, i) => {
+          // Without a handler, the link only points to the field.
+          const onClick = onErrorClick
+            ? event => {
+                event.preventDefault();
+                onErrorClick(error);
+              }
+            : undefined;
           return (
-            <li key={i} className="list-group-item text-danger">
-              {error.stack}
+            <li key={i} className={itemClassName}>
+              <a
+                href={`#${getErrorFieldId(error, idSchema)}`}
+                onClick={onClick}>
+                {error.stack}
+              </a>
             </li>
           );
         })}
@@ -7,9 +7,288 @@ import {
   shouldRender,
   toIdSchema,
   setState,
+  getClassName,
   getDefaultRegistry,
+  getErrorFieldId,
+  getErrorFieldPath,
+  isObject,
+  isThenable,
+  deepEquals,
+  mergeObjects,
+  toDataPath,
+  toFieldPath,
 } from "../utils";
-import validateFormData from "../validate";
+import validateFormData, {
+  toErrorList,
+  toErrorSchema,
+  toExtraErrorSchema,
+} from "../validate";
+import jsonschemaValidator from "../validators/jsonschema";
+import defaultTheme from "../themes/bootstrap";
+import { createTranslate, localizeValidator } from "../i18n";
+import {
+  getSchemaVersion,
+  loadDraft,
+  localStorageAdapter,
+  removeDraft,
+  saveDraft,
+} from "../drafts";
+import {
+  getFieldStep,
+  getStepData,
+  getStepErrors,
+  getStepSchema,
+  getSteps,
+  mergeStepData,
+} from "../steps";
+import {
+  bundleSchema,
+  getMissingDocuments,
+  loadSchemaDocuments,
+} from "../refs";
+
+function getTouchedErrorSchema(errors, touched, id) {
+  // Only keeps the errors of the touched fields, which ids are built the same
+  // way as by \`toIdSchema\`. The errors of required properties are reported on
+  // their parent object, but belong to the missing field.
+  return toErrorSchema(
+    errors.filter(
+      error => touched[[id].concat(getErrorFieldPath(error)).join("_")]
+    )
+  );
+}
+
+function clearEditedErrors(errorSchema, previousData, formData) {
+  // Drops the errors of the fields which data has changed, which includes the
+  // parents of the edited fields.
+  return Object.keys(errorSchema).reduce((acc, key) => {
+    if (key === "__errors") {
+      if (deepEquals(previousData, formData)) {
+        acc.__errors = errorSchema.__errors;
+      }
+      return acc;
+    }
+    const fieldErrorSchema = clearEditedErrors(
+      errorSchema[key],
+      (previousData || {})[key],
+      (formData || {})[key]
+    );
+    if (Object.keys(fieldErrorSchema).length > 0) {
+      acc[key] = fieldErrorSchema;
+    }
+    return acc;
+  }, {});
+}
+
+function removeErrors(errorSchema, removedErrorSchema = {}) {
+  // Removes the messages of an error tree from another one, which contains it.
+  return Object.keys(errorSchema).reduce((acc, key) => {
+    if (key === "__errors") {
+      const removed = (removedErrorSchema.__errors || []).slice();
+      const messages = errorSchema.__errors.filter(message => {
+        const index = removed.indexOf(message);
+        if (index === -1) {
+          return true;
+        }
+        removed.splice(index, 1);
+        return false;
+      });
+      if (messages.length > 0) {
+        acc.__errors = messages;
+      }
+      return acc;
+    }
+    const fieldErrorSchema = removeErrors(
+      errorSchema[key],
+      removedErrorSchema[key]
+    );
+    if (Object.keys(fieldErrorSchema).length > 0) {
+      acc[key] = fieldErrorSchema;
+    }
+    return acc;
+  }, {});
+}
+
+function getClientErrors({ errors, errorSchema, extraErrorSchema }) {
+  // Removes the extra errors from the current ones.
+  return {
+    errors: errors.filter(error => error.name !== "extra"),
+    errorSchema: removeErrors(errorSchema, extraErrorSchema),
+  };
+}
+
+const FOCUSABLE_SELECTOR = "input, select, textarea, button";
+
+function getFieldIds(idSchema) {
+  // Lists the ids of a field and of all its descendants.
+  return Object.keys(idSchema).reduce(
+    (ids, key) =>
+      (key !== "$id" && isObject(idSchema[key])
+        ? ids.concat(getFieldIds(idSchema[key]))
+        : ids),
+    [idSchema.$id]
+  );
+}
+
+function findIdSchema(idSchema, id) {
+  if (idSchema.$id === id) {
+    return idSchema;
+  }
+  for (const key of Object.keys(idSchema)) {
+    const node = key !== "$id" && isObject(idSchema[key])
+      ? findIdSchema(idSchema[key], id)
+      : undefined;
+    if (node) {
+      return node;
+    }
+  }
+}
+
+function createFieldMatcher(idSchema) {
+  // Returns a function telling whether an element id belongs to a field or to
+  // one of its descendants, following the idSchema tree: fields named alike,
+  // eg. `name` and `name_first`, share the same id prefix. The ids of array
+  // items and of the inputs of some widgets aren't part of the tree, they're
+  // derived from the id of their field.
+  const allIds = getFieldIds(idSchema);
+  return (fieldId, id) => {
+    const node = findIdSchema(idSchema, fieldId);
+    const fieldIds = node ? getFieldIds(node) : [fieldId];
+    const ownerId = allIds
+      .concat(fieldId)
+      .filter(knownId => id === knownId || id.indexOf(`${knownId}_`) === 0)
+      .reduce(
+        (longest, knownId) =>
+          (knownId.length > longest.length ? knownId : longest),
+        ""
+      );
+    return fieldIds.indexOf(ownerId) !== -1;
+  };
+}
+
+function findFieldElements(container, ids, idSchema) {
+  // Object and array fields have no element of their own, they're represented
+  // by their descendants.
+  const isWithinField = createFieldMatcher(idSchema);
+  const elements = container.querySelectorAll(FOCUSABLE_SELECTOR);
+  return Array.prototype.filter.call(elements, element => {
+    return (
+      element.type !== "hidden" && ids.some(id => isWithinField(id, element.id))
+    );
+  });
+}
+
+function revealElement(container, element) {
+  // Custom templates may nest fields in collapsible `<details>` elements.
+  for (
+    let node = element.parentNode;
+    node && node !== container;
+    node = node.parentNode
+  ) {
+    if (node.tagName === "DETAILS") {
+      node.open = true;
+    }
+  }
+  element.focus();
+  if (typeof element.scrollIntoView === "function") {
+    element.scrollIntoView();
+  }
+}
+
+function focusField(container, id, getIdSchema, lastButton) {
+  const [element] = findFieldElements(container, [id], getIdSchema());
+  if (element && element.getAttribute("data-reveals") !== id) {
+    revealElement(container, element);
+    return;
+  }
+  // The field or one of its parents is collapsed, or in a closed section, so
+  // it's revealed by clicking the button having a `data-reveals` attribute.
+  // When this happens in an event handler, React only renders the revealed
+  // fields once the handler returns, hence the deferred retry.
+  const isWithinField = createFieldMatcher(getIdSchema());
+  const revealButtons = container.querySelectorAll("[data-reveals]");
+  const [button] = Array.prototype.filter.call(revealButtons, button =>
+    isWithinField(button.getAttribute("data-reveals"), id)
+  );
+  if (button && button !== lastButton) {
+    button.click();
+    // Expanded fields have new ids, the idSchema is read again.
+    setTimeout(() => focusField(container, id, getIdSchema, button), 0);
+  }
+}
+
+function getChangedPaths(initialData, formData, path = []) {
+  // Lists the paths of the values which differ from the initial ones, down to
+  // the leaves of the data.
+  if (isObject(initialData) && isObject(formData)) {
+    return Object.keys({ ...initialData, ...formData }).reduce(
+      (paths, key) =>
+        paths.concat(
+          getChangedPaths(initialData[key], formData[key], path.concat(key))
+        ),
+      []
+    );
+  }
+  if (Array.isArray(initialData) && Array.isArray(formData)) {
+    let paths = [];
+    const length = Math.max(initialData.length, formData.length);
+    for (let index = 0; index < length; index++) {
+      // Added and removed items are changes, whatever their values.
+      paths = paths.concat(
+        index < initialData.length && index < formData.length
+          ? getChangedPaths(
+              initialData[index],
+              formData[index],
+              path.concat(index)
+            )
+          : [path.concat(index)]
+      );
+    }
+    return paths;
+  }
+  return deepEquals(initialData, formData) ? [] : [path];
+}
+
+function getChangedData(initialData, formData) {
+  // Only keeps the properties which differ from the initial ones, the arrays
+  // being kept whole. The removed properties are set to undefined.
+  if (!isObject(initialData) || !isObject(formData)) {
+    return formData;
+  }
+  return Object.keys({ ...initialData, ...formData }).reduce((changes, key) => {
+    if (!deepEquals(initialData[key], formData[key])) {
+      changes[key] = getChangedData(initialData[key], formData[key]);
+    }
+    return changes;
+  }, {});
+}
+
+function getValueAtPath(data, path) {
+  return path.reduce(
+    (value, segment) =>
+      (isObject(value) || Array.isArray(value) ? value[segment] : undefined),
+    data
+  );
+}
+
+function setValueAtPath(data, path, value) {
+  // Returns a copy of the data with the value set at the path, the objects and
+  // arrays along the way being copied, or created when missing.
+  if (path.length === 0) {
+    return value;
+  }
+  const [segment, ...rest] = path;
+  let container;
+  if (Array.isArray(data)) {
+    container = data.slice();
+  } else if (isObject(data)) {
+    container = { ...data };
+  } else {
+    container = /^\d+$/.test(segment) ? [] : {};
+  }
+  container[segment] = setValueAtPath(container[segment], rest, value);
+  return container;
+}
 
 export default class Form extends Component {
   static defaultProps = {
@@ -18,37 +297,141 @@ export default class Form extends Component {
     liveValidate: false,
     safeRenderCompletion: false,
     noHtml5Validate: false,
-    ErrorList: DefaultErrorList,
+    theme: defaultTheme,
+    historySize: 100,
   };
 
   constructor(props) {
     super(props);
-    this.state = this.getStateFromProps(props);
+    this.initialFormData = props.formData;
+    this.clearHistory();
+    // The sections which have errors are opened on every failed submission,
+    // and the open ones are restored when their object is rendered again.
+    this.state = {
+      ...this.getStateFromProps(props),
+      draft: null,
+      step: 0,
+      failedSubmitCount: 0,
+      openSections: {},
+    };
+  }
+
+  componentDidMount() {
+    this.loadSchema(this.props);
+    if (this.props.draft) {
+      this.loadDraft();
+    }
+    window.addEventListener("beforeunload", this.onBeforeUnload);
   }
 
   componentWillReceiveProps(nextProps) {
+    // Data which isn't the one of the form given back by its parent replaces
+    // the data the form is reset to.
+    if (
+      nextProps.formData !== this.props.formData &&
+      !deepEquals(nextProps.formData, this.state.formData)
+    ) {
+      this.initialFormData = nextProps.formData;
+      this.clearHistory();
+    }
     this.setState(this.getStateFromProps(nextProps));
+    if (
+      nextProps.schema !== this.props.schema ||
+      nextProps.schemaLoader !== this.props.schemaLoader
+    ) {
+      this.loadSchema(nextProps);
+    }
+  }
+
+  componentWillUnmount() {
+    this.unmounted = true;
+    this.flushDraft();
+    window.removeEventListener("beforeunload", this.onBeforeUnload);
   }
 
-  getStateFromProps(props) {
+  onBeforeUnload = event => {
+    this.flushDraft();
+    if (this.props.warnOnUnsavedChanges && this.state.dirty) {
+      // Browsers display their own message, whatever the returned one.
+      event.preventDefault();
+      event.returnValue = "";
+      return "";
+    }
+  };
+
+  getStateFromProps(props, documents = (this.state || {}).documents || {}) {
     const state = this.state || {};
-    const schema = "schema" in props ? props.schema : this.props.schema;
+    const rawSchema = "schema" in props ? props.schema : this.props.schema;
     const uiSchema = "uiSchema" in props ? props.uiSchema : this.props.uiSchema;
+    const schemaLoader = "schemaLoader" in props
+      ? props.schemaLoader
+      : this.props.schemaLoader;
     const edit = typeof props.formData !== "undefined";
+    const extraErrors = "extraErrors" in props
+      ? props.extraErrors
+      : this.props.extraErrors;
+    // The extra errors are only reset when they're actually changed, as their
+    // fields may have been edited since.
+    const extraErrorSchema = !this.state ||
+      !deepEquals(extraErrors, this.props.extraErrors)
+      ? toExtraErrorSchema(extraErrors)
+      : state.extraErrorSchema;
+    if (schemaLoader && getMissingDocuments(rawSchema, documents).length) {
+      // The form can't be rendered until all the referenced schemas are loaded.
+      return {
+        status: "loading",
+        schema: rawSchema,
+        uiSchema,
+        idSchema: {},
+        formData: props.formData,
+        edit,
+        errors: [],
+        errorSchema: {},
+        extraErrorSchema,
+        touched: state.touched || {},
+        submitted: state.submitted || false,
+        dirty: false,
+        dirtyFields: [],
+        documents,
+        loadError: null,
+      };
+    }
     const liveValidate = props.liveValidate || this.props.liveValidate;
     const mustValidate = edit && !props.noValidate && liveValidate;
+    // External documents and arbitrary pointers are turned into local
+    // definitions, so the rest of the library only deals with these.
+    const schema = bundleSchema(rawSchema, documents);
     const { definitions } = schema;
     const formData = getDefaultFormState(schema, props.formData, definitions);
-    const { errors, errorSchema } = mustValidate
-      ? this.validate(formData, schema)
-      : {
+    const touched = state.touched || {};
+    const submitted = state.submitted || false;
+    const validation = mustValidate
+      ? this.validateData(formData, schema, uiSchema)
+      : null;
+    // Unless validated again, the current errors are kept, with the extra
+    // errors which may have changed.
+    const clientErrors = validation && !isThenable(validation)
+      ? validation
+      : getClientErrors({
           errors: state.errors || [],
           errorSchema: state.errorSchema || {},
-        };
+          extraErrorSchema: state.extraErrorSchema,
+        });
+    const { errors, errorSchema } = this.getErrorState(clientErrors, {
+      uiSchema,
+      touched,
+      submitted,
+      extraErrorSchema,
+    });
+    if (isThenable(validation)) {
+      // The current errors are kept until the validation has settled.
+      this.settleValidation(validation, formData, this.onValidated);
+    }
     const idSchema = toIdSchema(
       schema,
       uiSchema["ui:rootFieldId"],
-      definitions
+      definitions,
+      formData
     );
     return {
       status: "initial",
@@ -59,62 +442,641 @@ export default class Form extends Component {
       edit,
       errors,
       errorSchema,
+      extraErrorSchema,
+      touched,
+      submitted,
+      ...this.getDirtyState(formData, schema),
+      documents,
+      loadError: null,
     };
   }
 
+  loadSchema(props) {
+    const { schema, schemaLoader } = props;
+    const { documents } = this.state;
+    if (!schemaLoader || !getMissingDocuments(schema, documents).length) {
+      return;
+    }
+    loadSchemaDocuments(schema, schemaLoader, documents).then(
+      documents => {
+        // Ignore the documents loaded for a schema which has been replaced
+        // in the meantime.
+        if (!this.unmounted && this.props.schema === schema) {
+          this.setState(this.getStateFromProps(this.props, documents));
+        }
+      },
+      loadError => {
+        if (!this.unmounted && this.props.schema === schema) {
+          this.setState({ loadError });
+        }
+      }
+    );
+  }
+
   shouldComponentUpdate(nextProps, nextState) {
     return shouldRender(this, nextProps, nextState);
   }
 
-  validate(formData, schema) {
+  getValidator() {
+    const { validator, locale } = this.props;
+    return locale
+      ? localizeValidator(validator || jsonschemaValidator, locale)
+      : validator;
+  }
+
+  validate = (
+    formData = this.state.formData,
+    schema = this.state.schema,
+    uiSchema = this.state.uiSchema
+  ) => {
+    // Returns the validation result of some data, the current one by default,
+    // or a promise of it for asynchronous validations, without displaying the
+    // errors.
+    return this.validateData(formData, schema, uiSchema);
+  };
+
+  validateData(formData, schema, uiSchema) {
+    // The data the form validates itself may be undefined, eg. a cleared root
+    // field, which must not be replaced with the current one.
     const { validate, transformErrors } = this.props;
     return validateFormData(
       formData,
-      schema || this.props.schema,
+      schema || this.state.schema,
       validate,
-      transformErrors
+      transformErrors,
+      this.getValidator(),
+      uiSchema || this.state.uiSchema
+    );
+  }
+
+  validateStep(steps, step) {
+    // The whole form data is validated against the schema, only keeping the
+    // errors of the step fields. The custom validation is left to the final
+    // submission.
+    const { schema, uiSchema, formData } = this.state;
+    const { transformErrors } = this.props;
+    return validateFormData(
+      formData,
+      schema,
+      undefined,
+      errors => {
+        const stepErrors = getStepErrors(steps, step, schema, formData, errors);
+        return typeof transformErrors === "function"
+          ? transformErrors(stepErrors)
+          : stepErrors;
+      },
+      this.getValidator(),
+      uiSchema
+    );
+  }
+
+  getSteps() {
+    return this.state.status === "loading"
+      ? null
+      : getSteps(this.state.uiSchema);
+  }
+
+  getStep(steps) {
+    // The steps may have been changed with the uiSchema.
+    return Math.min(this.state.step, steps.length - 1);
+  }
+
+  onStepChange = (stepData, options) => {
+    const { schema, formData } = this.state;
+    const steps = this.getSteps();
+    this.onChange(
+      mergeStepData(steps, this.getStep(steps), schema, formData, stepData),
+      options
+    );
+  };
+
+  nextStep = () => {
+    // Moves on to the next step, once the fields of the current one are valid.
+    const steps = this.getSteps();
+    if (!steps || this.getStep(steps) >= steps.length - 1) {
+      return;
+    }
+    const step = this.getStep(steps);
+    const validation = this.props.noValidate
+      ? { errors: [], errorSchema: {} }
+      : this.validateStep(steps, step);
+    if (validation.errors.length > 0) {
+      // The errors of the step are displayed, touched fields or not.
+      const state = {
+        failedSubmitCount: this.state.failedSubmitCount + 1,
+        ...this.getErrorState(validation, {
+          ...this.state,
+          submitted: true,
+        }),
+      };
+      setState(this, state, () => {
+        if (this.props.focusOnFirstError) {
+          this.focusFirstError(this.state.errors);
+        }
+      });
+      return;
+    }
+    this.setState({
+      step: step + 1,
+      ...this.getErrorState({ errors: [], errorSchema: {} }),
+    });
+  };
+
+  previousStep = () => {
+    const steps = this.getSteps();
+    if (steps && this.getStep(steps) > 0) {
+      this.setState({ step: this.getStep(steps) - 1 });
+    }
+  };
+
+  showField(path, callback) {
+    // Moves to the step rendering a field before calling back.
+    const { schema, formData } = this.state;
+    const steps = this.getSteps();
+    const step = steps ? getFieldStep(steps, schema, formData, path) : -1;
+    if (step !== -1 && step !== this.getStep(steps)) {
+      this.setState({ step }, callback);
+    } else {
+      callback();
+    }
+  }
+
+  getErrorStep(errors) {
+    // Returns the first step having a field in error.
+    const { schema, formData } = this.state;
+    const steps = this.getSteps();
+    if (!steps) {
+      return this.state.step;
+    }
+    const errorSteps = errors
+      .map(error =>
+        getFieldStep(steps, schema, formData, getErrorFieldPath(error))
+      )
+      .filter(step => step !== -1);
+    return errorSteps.length > 0
+      ? Math.min(...errorSteps)
+      : this.getStep(steps);
+  }
+
+  settleValidation(validation, formData, callback) {
+    // Calls back with the result of a validation, once it has settled for
+    // asynchronous ones. Results of a validation which has been superseded by
+    // another one, or for data which has been changed since, are ignored.
+    if (!isThenable(validation)) {
+      callback(validation);
+      return;
+    }
+    this.pendingValidation = validation;
+    validation.then(
+      result => {
+        if (
+          !this.unmounted &&
+          this.pendingValidation === validation &&
+          this.state.formData === formData
+        ) {
+          this.pendingValidation = null;
+          callback(result);
+        }
+      },
+      error => {
+        if (!this.unmounted && this.pendingValidation === validation) {
+          this.pendingValidation = null;
+          this.setState({ status: "initial" });
+          if (this.props.onError) {
+            this.props.onError(error);
+          } else {
+            console.error("Form validation failed", error);
+          }
+        }
+      }
     );
   }
 
+  getInitialData(schema = this.state.schema) {
+    return getDefaultFormState(
+      schema,
+      this.initialFormData,
+      schema.definitions
+    );
+  }
+
+  getDirtyState(formData, schema = this.state.schema) {
+    // The data is compared to the initial one, defaults included.
+    const dirtyFields = getChangedPaths(
+      this.getInitialData(schema),
+      formData
+    ).map(toDataPath);
+    return { dirty: dirtyFields.length > 0, dirtyFields };
+  }
+
+  getDirtyFieldIds() {
+    // A field is dirty when its value, or the one of a field it contains, has
+    // changed.
+    const { dirtyFields, idSchema } = this.state;
+    return dirtyFields.reduce((ids, dataPath) => {
+      const path = toFieldPath(dataPath);
+      for (let length = 0; length <= path.length; length++) {
+        ids[getErrorFieldId({ path: path.slice(0, length) }, idSchema)] = true;
+      }
+      return ids;
+    }, {});
+  }
+
+  getVisibleErrorSchema({ errors, errorSchema }, state = this.state) {
+    // When validating on blur, the errors of the fields the user hasn't
+    // visited yet are only displayed once the form has been submitted.
+    const { uiSchema, touched, submitted } = state;
+    if (!this.props.validateOnBlur || submitted) {
+      return errorSchema;
+    }
+    return getTouchedErrorSchema(
+      errors,
+      touched,
+      uiSchema["ui:rootFieldId"] || "root"
+    );
+  }
+
+  getErrorState({ errors, errorSchema }, state = this.state) {
+    // Merges the client-side errors, only the visible ones, with the extra
+    // errors provided by the `extraErrors` prop.
+    const { extraErrorSchema } = state;
+    const extraErrors = toErrorList(extraErrorSchema).map(error => ({
+      ...error,
+      name: "extra",
+    }));
+    return {
+      errors: errors.concat(extraErrors),
+      errorSchema: mergeObjects(
+        this.getVisibleErrorSchema({ errors, errorSchema }, state),
+        extraErrorSchema,
+        true
+      ),
+    };
+  }
+
+  onValidated = validation => {
+    this.setState(this.getErrorState(validation));
+  };
+
   renderErrors() {
-    const { status, errors } = this.state;
-    const { ErrorList, showErrorList } = this.props;
+    const { status, errors, submitted, idSchema } = this.state;
+    const { theme, showErrorList, validateOnBlur } = this.props;
+    const ErrorList =
+      this.props.ErrorList || theme.ErrorList || DefaultErrorList;
+    // The list would otherwise disclose the errors of untouched fields.
+    const hidden = validateOnBlur && !submitted;
 
-    if (status !== "editing" && errors.length && showErrorList != false) {
-      return <ErrorList errors={errors} />;
+    if (
+      status !== "editing" &&
+      !hidden &&
+      errors.length &&
+      showErrorList != false
+    ) {
+      return (
+        <ErrorList
+          errors={errors}
+          idSchema={idSchema}
+          onErrorClick={this.focusError}
+          translate={this.getTranslate()}
+          classNames={this.getClassNames()}
+        />
+      );
     }
     return null;
   }
 
-  onChange = (formData, options = { validate: false }) => {
+  renderLoading(loadError) {
+    const translate = this.getTranslate();
+    const classNames = this.getClassNames();
+    if (loadError) {
+      return (
+        <div
+          className={`${getClassName(classNames, "alert", {
+            type: "danger",
+          })} form-loading-error`}>
+          {translate("Unable to load the schema: {message}", {
+            message: loadError.message || String(loadError),
+          })}
+        </div>
+      );
+    }
+    return <p className="form-loading">{translate("Loading…")}</p>;
+  }
+
+  onChange = (formData, options) => {
+    this.recordHistory(formData);
+    this.changeData(formData, options);
+  };
+
+  changeData(formData, options = { validate: false }) {
     const mustValidate =
       !this.props.noValidate && (this.props.liveValidate || options.validate);
-    let state = { status: "editing", formData };
-    if (mustValidate) {
-      const { errors, errorSchema } = this.validate(formData);
-      state = { ...state, errors, errorSchema };
+    const { schema, uiSchema } = this.state;
+    const { definitions } = schema;
+    // The effective schema may depend on the data (eg. schema dependencies),
+    // so the ids of the rendered fields have to be recomputed.
+    const idSchema = toIdSchema(
+      schema,
+      uiSchema["ui:rootFieldId"],
+      definitions,
+      formData
+    );
+    // The extra errors of the edited fields are now outdated.
+    const extraErrorSchema = clearEditedErrors(
+      this.state.extraErrorSchema,
+      this.state.formData,
+      formData
+    );
+    let state = {
+      status: "editing",
+      formData,
+      idSchema,
+      extraErrorSchema,
+      ...this.getDirtyState(formData),
+    };
+    const validation = mustValidate ? this.validateData(formData) : null;
+    if (isThenable(validation)) {
+      this.settleValidation(validation, formData, this.onValidated);
+    }
+    if (
+      (validation && !isThenable(validation)) ||
+      !deepEquals(extraErrorSchema, this.state.extraErrorSchema)
+    ) {
+      const clientErrors = validation && !isThenable(validation)
+        ? validation
+        : getClientErrors(this.state);
+      state = {
+        ...state,
+        ...this.getErrorState(clientErrors, { ...this.state, ...state }),
+      };
     }
     setState(this, state, () => {
+      this.scheduleDraftSave();
       if (this.props.onChange) {
         this.props.onChange(this.state);
       }
     });
+  }
+
+  getDraftOptions() {
+    const options = {
+      storage: localStorageAdapter,
+      delay: 1000,
+      ...this.props.draft,
+    };
+    return typeof options.version === "undefined"
+      ? { ...options, version: this.getSchemaVersion() }
+      : options;
+  }
+
+  getSchemaVersion() {
+    // Drafts are versioned after the schema, only hashed when drafts are
+    // enabled, and once per schema.
+    const { schema } = this.props;
+    if (this.versionedSchema !== schema) {
+      this.versionedSchema = schema;
+      this.schemaVersion = getSchemaVersion(schema);
+    }
+    return this.schemaVersion;
+  }
+
+  loadDraft() {
+    const { storage, key, version, migrate } = this.getDraftOptions();
+    loadDraft(storage, key, version, migrate).then(
+      draft => {
+        // The draft is only offered when it differs from the current data.
+        if (
+          !this.unmounted &&
+          draft &&
+          !deepEquals(draft.formData, this.state.formData)
+        ) {
+          this.setState({ draft });
+        }
+      },
+      error => console.error("Unable to load the draft", error)
+    );
+  }
+
+  scheduleDraftSave() {
+    // Saves the data once the user has stopped editing for a while.
+    if (!this.props.draft) {
+      return;
+    }
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(this.flushDraft, this.getDraftOptions().delay);
+  }
+
+  flushDraft = () => {
+    // Saves the pending changes right away.
+    if (!this.draftTimer) {
+      return;
+    }
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+    const { storage, key, version } = this.getDraftOptions();
+    const { dirty, formData } = this.state;
+    // Unchanged data doesn't need any draft.
+    const saved = dirty
+      ? saveDraft(storage, key, version, formData)
+      : removeDraft(storage, key);
+    saved.catch(error => console.error("Unable to save the draft", error));
+  };
+
+  discardDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+    const { storage, key } = this.getDraftOptions();
+    removeDraft(storage, key).catch(error =>
+      console.error("Unable to discard the draft", error)
+    );
+    this.setState({ draft: null });
+  }
+
+  onDraftRestore = () => {
+    const { schema, draft } = this.state;
+    if (this.state.status === "loading") {
+      return;
+    }
+    this.setState({ draft: null });
+    this.onChange(
+      getDefaultFormState(schema, draft.formData, schema.definitions)
+    );
+  };
+
+  onDraftDiscard = () => {
+    this.discardDraft();
+  };
+
+  renderDraftNotice() {
+    if (!this.state.draft) {
+      return null;
+    }
+    const translate = this.getTranslate();
+    const classNames = this.getClassNames();
+    const buttonClassName = type =>
+      [
+        getClassName(classNames, "button", { type }),
+        getClassName(classNames, "buttonSmall"),
+      ].join(" ");
+    return (
+      <div
+        className={`${getClassName(classNames, "alert", {
+          type: "info",
+        })} form-draft`}>
+        {translate("A draft of this form has been saved.")}{" "}
+        <button
+          type="button"
+          className={`${buttonClassName("default")} btn-draft-restore`}
+          onClick={this.onDraftRestore}>
+          {translate("Restore")}
+        </button>{" "}
+        <button
+          type="button"
+          className={`${buttonClassName("link")} btn-draft-discard`}
+          onClick={this.onDraftDiscard}>
+          {translate("Discard")}
+        </button>
+      </div>
+    );
+  }
+
+  recordHistory(formData, coalesce = true) {
+    // Keeps the data as it was before a change, to be able to undo it. Typing
+    // in a text field only makes a single step.
+    const { historySize } = this.props;
+    const previousData = this.state.formData;
+    const paths = getChangedPaths(previousData, formData);
+    if (!historySize || paths.length === 0) {
+      return;
+    }
+    const [path] = paths;
+    const editedPath = coalesce &&
+      paths.length === 1 &&
+      typeof getValueAtPath(formData, path) === "string"
+      ? toDataPath(path)
+      : null;
+    if (editedPath === null || editedPath !== this.lastEditedPath) {
+      this.undoStack = this.undoStack
+        .concat([previousData])
+        .slice(-historySize);
+    }
+    this.lastEditedPath = editedPath;
+    this.redoStack = [];
+  }
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastEditedPath = null;
+  }
+
+  onKeyDown = event => {
+    // Ctrl+Z undoes the last change and Ctrl+Shift+Z redoes it, or Cmd+Z and
+    // Cmd+Shift+Z on macOS.
+    if (
+      !(event.ctrlKey || event.metaKey) ||
+      String(event.key).toLowerCase() !== "z"
+    ) {
+      return;
+    }
+    const history = event.shiftKey ? this.redoStack : this.undoStack;
+    if (history.length > 0) {
+      // The inputs would undo their own changes otherwise.
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    }
   };
 
   onBlur = (...args) => {
+    if (this.props.validateOnBlur) {
+      const [id] = args;
+      this.touch(id);
+    }
     if (this.props.onBlur) {
       this.props.onBlur(...args);
     }
   };
 
+  touch(id) {
+    // Marks the field as touched and validates it, along with the fields
+    // which have been touched before.
+    const { formData, uiSchema, submitted } = this.state;
+    const touched = { ...this.state.touched, [id]: true };
+    this.setState({ touched });
+    if (this.props.noValidate) {
+      return;
+    }
+    this.settleValidation(this.validateData(formData), formData, validation => {
+      this.setState(
+        this.getErrorState(validation, {
+          uiSchema,
+          touched,
+          submitted,
+          extraErrorSchema: this.state.extraErrorSchema,
+        })
+      );
+    });
+  }
+
   onSubmit = event => {
     event.preventDefault();
-    this.setState({ status: "submitted" });
+    // The form is submitted on every step, eg. when pressing Enter.
+    const steps = this.getSteps();
+    if (steps && this.getStep(steps) < steps.length - 1) {
+      this.nextStep();
+      return;
+    }
+    this.submit();
+  };
+
+  // The following methods are the public API of the form, to be called on the
+  // instance obtained with a `ref`. They're bound to the instance, so they keep
+  // working when passed around, like the methods a function component would
+  // expose to its ref.
+
+  submit = () => {
+    // Submits the form as if the submit button was clicked, the HTML5
+    // validation aside.
+    if (this.state.status === "loading") {
+      return;
+    }
+
+    if (this.props.noValidate) {
+      this.setState({ status: "submitted" });
+      this.notifySubmit();
+      return;
+    }
 
-    if (!this.props.noValidate) {
-      const { errors, errorSchema } = this.validate(this.state.formData);
+    const { formData } = this.state;
+    const validation = this.validateData(formData);
+    if (isThenable(validation)) {
+      // The form is only submitted once the validation has settled.
+      this.setState({ status: "validating" });
+    } else {
+      this.setState({ status: "submitted" });
+    }
+    this.settleValidation(validation, formData, validation => {
+      const { errors } = validation;
       if (Object.keys(errors).length > 0) {
-        setState(this, { errors, errorSchema }, () => {
+        // All the errors are displayed from now on, touched fields or not.
+        const state = {
+          status: "submitted",
+          failedSubmitCount: this.state.failedSubmitCount + 1,
+          submitted: true,
+          step: this.getErrorStep(errors),
+          ...this.getErrorState(validation, {
+            ...this.state,
+            submitted: true,
+          }),
+        };
+        setState(this, state, () => {
+          if (this.props.focusOnFirstError) {
+            this.focusFirstError(this.state.errors);
+          }
           if (this.props.onError) {
             this.props.onError(errors);
           } else {
@@ -123,31 +1085,269 @@ export default class Form extends Component {
         });
         return;
       }
+      this.notifySubmit();
+    });
+  };
+
+  onOpenSectionsChange = (id, sections) => {
+    this.setState({
+      openSections: { ...this.state.openSections, [id]: sections },
+    });
+  };
+
+  reset = () => {
+    // Restores the initial data, and the form as it was before being edited.
+    const { schema, uiSchema } = this.state;
+    if (this.state.status === "loading") {
+      return;
     }
+    const { definitions } = schema;
+    const formData = this.getInitialData();
+    const idSchema = toIdSchema(
+      schema,
+      uiSchema["ui:rootFieldId"],
+      definitions,
+      formData
+    );
+    const touched = {};
+    const submitted = false;
+    const extraErrorSchema = toExtraErrorSchema(this.props.extraErrors);
+    // Any pending validation is outdated.
+    this.pendingValidation = null;
+    this.recordHistory(formData, false);
+    const state = {
+      status: "initial",
+      step: 0,
+      formData,
+      idSchema,
+      touched,
+      submitted,
+      dirty: false,
+      dirtyFields: [],
+      extraErrorSchema,
+      ...this.getErrorState(
+        { errors: [], errorSchema: {} },
+        { uiSchema, touched, submitted, extraErrorSchema }
+      ),
+    };
+    setState(this, state, () => {
+      this.scheduleDraftSave();
+      if (this.props.onChange) {
+        this.props.onChange(this.state);
+      }
+    });
+  };
 
-    if (this.props.onSubmit) {
-      this.props.onSubmit(this.state);
+  focus = path => {
+    // Focuses the field at a data path, given as an array or a JSON pointer.
+    const error = { path: toFieldPath(path) };
+    this.showField(error.path, () => this.focusError(error));
+  };
+
+  undo = () => {
+    // Restores the data as it was before the last change.
+    if (this.undoStack.length === 0 || this.state.status === "loading") {
+      return;
     }
-    this.setState({ status: "initial", errors: [], errorSchema: {} });
+    const formData = this.undoStack[this.undoStack.length - 1];
+    this.undoStack = this.undoStack.slice(0, -1);
+    this.redoStack = this.redoStack.concat([this.state.formData]);
+    this.lastEditedPath = null;
+    this.changeData(formData);
+  };
+
+  redo = () => {
+    // Restores the data as it was before the last undo.
+    if (this.redoStack.length === 0 || this.state.status === "loading") {
+      return;
+    }
+    const formData = this.redoStack[this.redoStack.length - 1];
+    this.redoStack = this.redoStack.slice(0, -1);
+    this.undoStack = this.undoStack.concat([this.state.formData]);
+    this.lastEditedPath = null;
+    this.changeData(formData);
+  };
+
+  setFieldValue = (path, value) => {
+    // Changes the value of the field at a data path, as if the user did.
+    this.onChange(
+      setValueAtPath(this.state.formData, toFieldPath(path), value)
+    );
+  };
+
+  focusError = error => {
+    // Focuses the field an error relates to and scrolls it into view.
+    this.showField(getErrorFieldPath(error), () => {
+      if (this.formElement) {
+        const id = getErrorFieldId(error, this.state.idSchema);
+        focusField(this.formElement, id, this.getIdSchema);
+      }
+    });
+  };
+
+  getIdSchema = () => {
+    return this.state.idSchema;
   };
 
+  focusFirstError(errors) {
+    // The errors are listed by validation keyword, the field coming first in
+    // the form is looked up instead.
+    if (!this.formElement || errors.length === 0) {
+      return;
+    }
+    const ids = errors.map(error =>
+      getErrorFieldId(error, this.state.idSchema)
+    );
+    const { idSchema } = this.state;
+    const [element] = findFieldElements(this.formElement, ids, idSchema);
+    const isWithinField = createFieldMatcher(idSchema);
+    const [id] = element
+      ? ids.filter(id => isWithinField(id, element.id))
+      : ids;
+    focusField(this.formElement, id, this.getIdSchema);
+  }
+
+  notifySubmit() {
+    const { formData } = this.state;
+    if (this.props.onSubmit) {
+      this.props.onSubmit(
+        this.props.submitChangesOnly
+          ? {
+              ...this.state,
+              formData: getChangedData(this.getInitialData(), formData),
+            }
+          : this.state
+      );
+    }
+    // The submitted data is the one the form is now compared and reset to.
+    this.initialFormData = formData;
+    if (this.props.draft) {
+      this.discardDraft();
+    }
+    // The extra errors are kept until their fields are edited.
+    this.setState({
+      status: "initial",
+      dirty: false,
+      dirtyFields: [],
+      ...this.getErrorState({ errors: [], errorSchema: {} }),
+    });
+  }
+
+  getTranslate() {
+    const { translate, locale } = this.props;
+    return translate || createTranslate(locale);
+  }
+
+  getClassNames() {
+    // Themes only declare the class names they change, the Bootstrap ones
+    // being used for the others.
+    return { ...defaultTheme.classNames, ...this.props.theme.classNames };
+  }
+
   getRegistry() {
     // For BC, accept passed SchemaField and TitleField props and pass them to
-    // the "fields" registry one.
+    // the "fields" registry one. The components the theme provides replace the
+    // built-in ones, and are replaced by those given to the form.
     const { fields, widgets } = getDefaultRegistry();
+    const { theme } = this.props;
     return {
-      fields: { ...fields, ...this.props.fields },
-      widgets: { ...widgets, ...this.props.widgets },
-      ArrayFieldTemplate: this.props.ArrayFieldTemplate,
-      FieldTemplate: this.props.FieldTemplate,
-      definitions: this.props.schema.definitions || {},
+      fields: { ...fields, ...theme.fields, ...this.props.fields },
+      widgets: { ...widgets, ...theme.widgets, ...this.props.widgets },
+      ArrayFieldTemplate: this.props.ArrayFieldTemplate ||
+        theme.ArrayFieldTemplate,
+      ObjectFieldTemplate: this.props.ObjectFieldTemplate ||
+        theme.ObjectFieldTemplate,
+      FieldTemplate: this.props.FieldTemplate || theme.FieldTemplate,
+      classNames: this.getClassNames(),
+      definitions: this.state.schema.definitions || {},
       formContext: this.props.formContext || {},
+      translate: this.getTranslate(),
+      dirtyFieldIds: this.getDirtyFieldIds(),
+      failedSubmitCount: this.state.failedSubmitCount,
+      openSections: this.state.openSections,
+      onOpenSectionsChange: this.onOpenSectionsChange,
     };
   }
 
+  getFieldProps(steps, step) {
+    // Only the fields of the current step are rendered, in the step order.
+    const { schema, uiSchema, formData } = this.state;
+    if (!steps) {
+      return { schema, uiSchema, formData, onChange: this.onChange };
+    }
+    const stepSchema = getStepSchema(steps, step, schema, formData);
+    return {
+      schema: stepSchema,
+      uiSchema: { ...uiSchema, "ui:order": Object.keys(stepSchema.properties) },
+      formData: getStepData(steps, step, schema, formData),
+      onChange: this.onStepChange,
+    };
+  }
+
+  renderSteps(steps, step) {
+    const translate = this.getTranslate();
+    const classNames = this.getClassNames();
+    return (
+      <ol className="form-steps">
+        {steps.map(({ title }, index) => {
+          const className = index === step
+            ? getClassName(classNames, "active")
+            : index < step ? "done" : undefined;
+          return (
+            <li
+              key={index}
+              className={className}
+              aria-current={index === step ? "step" : undefined}>
+              {title || translate("Step {index}", { index: index + 1 })}
+            </li>
+          );
+        })}
+      </ol>
+    );
+  }
+
+  renderButtons(steps, step) {
+    const { children } = this.props;
+    const translate = this.getTranslate();
+    const classNames = this.getClassNames();
+    const buttonClassName = type =>
+      getClassName(classNames, "button", { type });
+    const last = !steps || step === steps.length - 1;
+    const backButton = steps && step > 0
+      ? <button
+          type="button"
+          className={`${buttonClassName("default")} btn-step-back`}
+          onClick={this.previousStep}>
+          {translate("Back")}
+        </button>
+      : null;
+    if (!last) {
+      return (
+        <p>
+          {backButton}{" "}
+          <button
+            type="submit"
+            className={`${buttonClassName("info")} btn-step-next`}>
+            {translate("Next")}
+          </button>
+        </p>
+      );
+    }
+    if (children) {
+      return backButton ? <div>{backButton}{children}</div> : children;
+    }
+    return (
+      <p>
+        {backButton}{backButton && " "}
+        <button type="submit" className={buttonClassName("info")}>
+          {translate("Submit")}
+        </button>
+      </p>
+    );
+  }
+
   render() {
     const {
-      children,
       safeRenderCompletion,
       id,
       className,
@@ -161,9 +1361,11 @@ export default class Form extends Component {
       noHtml5Validate,
     } = this.props;
 
-    const { schema, uiSchema, formData, errorSchema, idSchema } = this.state;
+    const { status, loadError, errorSchema, idSchema } = this.state;
     const registry = this.getRegistry();
     const _SchemaField = registry.fields.SchemaField;
+    const steps = this.getSteps();
+    const step = steps ? this.getStep(steps) : null;
 
     return (
       <form
@@ -177,24 +1379,25 @@ export default class Form extends Component {
         encType={enctype}
         acceptCharset={acceptcharset}
         noValidate={noHtml5Validate}
-        onSubmit={this.onSubmit}>
+        onSubmit={this.onSubmit}
+        onKeyDown={this.onKeyDown}
+        ref={form => {
+          this.formElement = form;
+        }}>
+        {this.renderDraftNotice()}
         {this.renderErrors()}
-        <_SchemaField
-          schema={schema}
-          uiSchema={uiSchema}
-          errorSchema={errorSchema}
-          idSchema={idSchema}
-          formData={formData}
-          onChange={this.onChange}
-          onBlur={this.onBlur}
-          registry={registry}
-          safeRenderCompletion={safeRenderCompletion}
-        />
-        {children
-          ? children
-          : <p>
-              <button type="submit" className="btn btn-info">Submit</button>
-            </p>}
+        {steps && this.renderSteps(steps, step)}
+        {status === "loading"
+          ? this.renderLoading(loadError)
+          : <_SchemaField
+              {...this.getFieldProps(steps, step)}
+              errorSchema={errorSchema}
+              idSchema={idSchema}
+              onBlur={this.onBlur}
+              registry={registry}
+              safeRenderCompletion={safeRenderCompletion}
+            />}
+        {this.renderButtons(steps, step)}
       </form>
     );
   }
@@ -210,11 +1413,38 @@ if (process.env.NODE_ENV !== "production") {
     ),
     fields: PropTypes.objectOf(PropTypes.func),
     ArrayFieldTemplate: PropTypes.func,
+    ObjectFieldTemplate: PropTypes.func,
+    theme: PropTypes.shape({
+      fields: PropTypes.objectOf(PropTypes.func),
+      widgets: PropTypes.objectOf(
+        PropTypes.oneOfType([PropTypes.func, PropTypes.object])
+      ),
+      FieldTemplate: PropTypes.func,
+      ArrayFieldTemplate: PropTypes.func,
+      ObjectFieldTemplate: PropTypes.func,
+      ErrorList: PropTypes.func,
+      classNames: PropTypes.objectOf(PropTypes.string),
+    }),
     FieldTemplate: PropTypes.func,
     ErrorList: PropTypes.func,
     onChange: PropTypes.func,
     onError: PropTypes.func,
     showErrorList: PropTypes.bool,
+    focusOnFirstError: PropTypes.bool,
+    warnOnUnsavedChanges: PropTypes.bool,
+    submitChangesOnly: PropTypes.bool,
+    historySize: PropTypes.number,
+    draft: PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      storage: PropTypes.shape({
+        getItem: PropTypes.func.isRequired,
+        setItem: PropTypes.func.isRequired,
+        removeItem: PropTypes.func.isRequired,
+      }),
+      delay: PropTypes.number,
+      version: PropTypes.string,
+      migrate: PropTypes.func,
+    }),
     onSubmit: PropTypes.func,
     id: PropTypes.string,
     className: PropTypes.string,
@@ -228,9 +1458,26 @@ if (process.env.NODE_ENV !== "production") {
     noValidate: PropTypes.bool,
     noHtml5Validate: PropTypes.bool,
     liveValidate: PropTypes.bool,
+    validateOnBlur: PropTypes.bool,
     validate: PropTypes.func,
     transformErrors: PropTypes.func,
+    validator: PropTypes.func,
     safeRenderCompletion: PropTypes.bool,
     formContext: PropTypes.object,
+    schemaLoader: PropTypes.func,
+    extraErrors: PropTypes.oneOfType([
+      PropTypes.object,
+      PropTypes.arrayOf(
+        PropTypes.shape({
+          path: PropTypes.oneOfType([PropTypes.array, PropTypes.string]),
+          message: PropTypes.string,
+        })
+      ),
+    ]),
+    locale: PropTypes.shape({
+      messages: PropTypes.objectOf(PropTypes.string),
+      errors: PropTypes.objectOf(PropTypes.string),
+    }),
+    translate: PropTypes.func,
   };
 }
@@ -0,0 +1,21 @@
+import React from "react";
+
+import { getClassName, getDefaultRegistry } from "../utils";
+
+export default function IconButton(props) {
+  const {
+    type = "default",
+    icon,
+    className,
+    classNames = getDefaultRegistry().classNames,
+    ...otherProps
+  } = props;
+  return (
+    <button
+      type="button"
+      className={`${getClassName(classNames, "button", { type })} ${className}`}
+      {...otherProps}>
+      <i className={getClassName(classNames, "icon", { icon })} />
+    </button>
+  );
+}
@@ -8,12 +8,16 @@ import {
   isMultiSelect,
   isFilesArray,
   isFixedItems,
+  isNullable,
   allowAdditionalItems,
   optionsList,
   retrieveSchema,
   toIdSchema,
   getDefaultRegistry,
+  getClassName,
 } from "../../utils";
+import AddButton from "../AddButton";
+import IconButton from "../IconButton";
 
 function ArrayFieldTitle({ TitleField, idSchema, title, required }) {
   if (!title) {
@@ -33,18 +37,6 @@ function ArrayFieldDescription({ DescriptionField, idSchema, description }) {
   return <DescriptionField id={id} description={description} />;
 }
 
-function IconBtn(props) {
-  const { type = "default", icon, className, ...otherProps } = props;
-  return (
-    <button
-      type="button"
-      className={`btn btn-${type} ${className}`}
-      {...otherProps}>
-      <i className={`glyphicon glyphicon-${icon}`} />
-    </button>
-  );
-}
-
 // Used in the two templates
 function DefaultArrayItem(props) {
   const btnStyle = {
@@ -53,35 +45,39 @@ function DefaultArrayItem(props) {
     paddingRight: 6,
     fontWeight: "bold",
   };
+  const { classNames } = props;
+  const column = width => getClassName(classNames, "column", { width });
   return (
     <div key={props.index} className={props.className}>
 
-      <div className={props.hasToolbar ? "col-xs-9" : "col-xs-12"}>
+      <div className={props.hasToolbar ? column(9) : column(12)}>
         {props.children}
       </div>
 
       {props.hasToolbar &&
-        <div className="col-xs-3 array-item-toolbox">
+        <div className={`${column(3)} array-item-toolbox`}>
           <div
-            className="btn-group"
+            className={getClassName(classNames, "buttonGroup")}
             style={{ display: "flex", justifyContent: "space-around" }}>
 
             {(props.hasMoveUp || props.hasMoveDown) &&
-              <IconBtn
+              <IconButton
                 icon="arrow-up"
                 className="array-item-move-up"
                 tabIndex="-1"
                 style={btnStyle}
+                classNames={classNames}
                 disabled={props.disabled || props.readonly || !props.hasMoveUp}
                 onClick={props.onReorderClick(props.index, props.index - 1)}
               />}
 
             {(props.hasMoveUp || props.hasMoveDown) &&
-              <IconBtn
+              <IconButton
                 icon="arrow-down"
                 className="array-item-move-down"
                 tabIndex="-1"
                 style={btnStyle}
+                classNames={classNames}
                 disabled={
                   props.disabled || props.readonly || !props.hasMoveDown
                 }
@@ -89,12 +85,13 @@ function DefaultArrayItem(props) {
               />}
 
             {props.hasRemove &&
-              <IconBtn
+              <IconButton
                 type="danger"
                 icon="remove"
                 className="array-item-remove"
                 tabIndex="-1"
                 style={btnStyle}
+                classNames={classNames}
                 disabled={props.disabled || props.readonly}
                 onClick={props.onDropIndexClick(props.index)}
               />}
@@ -125,15 +122,17 @@ function DefaultFixedArrayFieldTemplate(props) {
         </div>}
 
       <div
-        className="row array-item-list"
+        className={`${getClassName(props.classNames, "row")} array-item-list`}
         key={`array-item-list-${props.idSchema.$id}`}>
         {props.items && props.items.map(DefaultArrayItem)}
       </div>
 
       {props.canAdd &&
         <AddButton
+          className="array-item-add"
           onClick={props.onAddClick}
           disabled={props.disabled || props.readonly}
+          classNames={props.classNames}
         />}
     </fieldset>
   );
@@ -160,15 +159,17 @@ function DefaultNormalArrayFieldTemplate(props) {
         />}
 
       <div
-        className="row array-item-list"
+        className={`${getClassName(props.classNames, "row")} array-item-list`}
         key={`array-item-list-${props.idSchema.$id}`}>
         {props.items && props.items.map(p => DefaultArrayItem(p))}
       </div>
 
       {props.canAdd &&
         <AddButton
+          className="array-item-add"
           onClick={props.onAddClick}
           disabled={props.disabled || props.readonly}
+          classNames={props.classNames}
         />}
     </fieldset>
   );
@@ -186,18 +187,17 @@ class ArrayField extends Component {
   };
 
   get itemTitle() {
-    const { schema } = this.props;
-    return schema.items.title || schema.items.description || "Item";
+    const { schema, registry = getDefaultRegistry() } = this.props;
+    return (
+      schema.items.title ||
+      schema.items.description ||
+      registry.translate("Item")
+    );
   }
 
   isItemRequired(itemSchema) {
-    if (Array.isArray(itemSchema.type)) {
-      // While we don't yet support composite/nullable jsonschema types, it's
-      // future-proof to check for requirement against these.
-      return !itemSchema.type.includes("null");
-    }
-    // All non-null array item types are inherently required by design
-    return itemSchema.type !== "null";
+    // All non-nullable array item types are inherently required by design
+    return !isNullable(itemSchema);
   }
 
   onAddClick = event => {
@@ -303,14 +303,20 @@ class ArrayField extends Component {
     const arrayProps = {
       canAdd: addable,
       items: formData.map((item, index) => {
+        const itemSchema = retrieveSchema(schema.items, definitions, item);
         const itemErrorSchema = errorSchema ? errorSchema[index] : undefined;
         const itemIdPrefix = idSchema.$id + "_" + index;
-        const itemIdSchema = toIdSchema(itemsSchema, itemIdPrefix, definitions);
+        const itemIdSchema = toIdSchema(
+          itemSchema,
+          itemIdPrefix,
+          definitions,
+          item
+        );
         return this.renderArrayFieldItem({
           index,
           canMoveUp: index > 0,
           canMoveDown: index < formData.length - 1,
-          itemSchema: itemsSchema,
+          itemSchema,
           itemIdSchema,
           itemErrorSchema,
           itemData: formData[index],
@@ -331,6 +337,7 @@ class ArrayField extends Component {
       title,
       TitleField,
       formContext,
+      classNames: registry.classNames,
     };
 
     // Check if a custom render function was passed in
@@ -369,6 +376,7 @@ class ArrayField extends Component {
         value={items}
         disabled={disabled}
         readonly={readonly}
+        registry={registry}
         formContext={formContext}
         autofocus={autofocus}
       />
@@ -404,6 +412,7 @@ class ArrayField extends Component {
         value={items}
         disabled={disabled}
         readonly={readonly}
+        registry={registry}
         formContext={formContext}
         autofocus={autofocus}
       />
@@ -428,8 +437,8 @@ class ArrayField extends Component {
     let items = this.props.formData;
     const { ArrayFieldTemplate, definitions, fields } = registry;
     const { TitleField } = fields;
-    const itemSchemas = schema.items.map(item =>
-      retrieveSchema(item, definitions)
+    const itemSchemas = schema.items.map((item, index) =>
+      retrieveSchema(item, definitions, (items || [])[index])
     );
     const additionalSchema = allowAdditionalItems(schema)
       ? retrieveSchema(schema.additionalItems, definitions)
@@ -447,13 +456,19 @@ class ArrayField extends Component {
     const arrayProps = {
       canAdd,
       className: "field field-array field-array-fixed-items",
+      classNames: registry.classNames,
       disabled,
       idSchema,
       items: items.map((item, index) => {
         const additional = index >= itemSchemas.length;
         const itemSchema = additional ? additionalSchema : itemSchemas[index];
         const itemIdPrefix = idSchema.$id + "_" + index;
-        const itemIdSchema = toIdSchema(itemSchema, itemIdPrefix, definitions);
+        const itemIdSchema = toIdSchema(
+          itemSchema,
+          itemIdPrefix,
+          definitions,
+          item
+        );
         const itemUiSchema = additional
           ? uiSchema.additionalItems || {}
           : Array.isArray(uiSchema.items)
@@ -540,6 +555,7 @@ class ArrayField extends Component {
         />
       ),
       className: "array-item",
+      classNames: registry.classNames,
       disabled,
       hasToolbar: has.toolbar,
       hasMoveUp: has.moveUp,
@@ -553,23 +569,6 @@ class ArrayField extends Component {
   }
 }
 
-function AddButton({ onClick, disabled }) {
-  return (
-    <div className="row">
-      <p className="col-xs-3 col-xs-offset-9 array-item-add text-right">
-        <IconBtn
-          type="info"
-          icon="plus"
-          className="btn-add col-xs-12"
-          tabIndex="0"
-          onClick={onClick}
-          disabled={disabled}
-        />
-      </p>
-    </div>
-  );
-}
-
 if (process.env.NODE_ENV !== "production") {
   ArrayField.propTypes = {
     schema: PropTypes.object.isRequired,
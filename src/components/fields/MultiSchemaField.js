@@ -0,0 +1,215 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+
+import {
+  getClassName,
+  getDefaultFormState,
+  getDefaultRegistry,
+  isObject,
+  retrieveSchema,
+  toIdSchema,
+} from "../../utils";
+import { isValid } from "../../validate";
+
+function matchesOption(formData, option, definitions) {
+  // Required properties are ignored here, so a variant which is still being
+  // filled in by the user keeps being recognized.
+  const { required, ...schema } = retrieveSchema(option, definitions, formData);
+  if (isObject(schema.properties)) {
+    // An object variant only matches if at least one of its own properties is
+    // present, otherwise any object would match any variant.
+    const keys = Object.keys(schema.properties);
+    if (!isObject(formData) || !keys.some(key => key in formData)) {
+      return false;
+    }
+  }
+  return isValid(schema, formData, definitions);
+}
+
+function getMatchingOption(formData, options, definitions) {
+  if (typeof formData === "undefined") {
+    return -1;
+  }
+  for (let i = 0; i < options.length; i++) {
+    if (matchesOption(formData, options[i], definitions)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+class MultiSchemaField extends Component {
+  static defaultProps = {
+    uiSchema: {},
+    errorSchema: {},
+    idSchema: {},
+    disabled: false,
+    readonly: false,
+  };
+
+  constructor(props) {
+    super(props);
+    const { formData, options, registry = getDefaultRegistry() } = props;
+    const selectedOption = getMatchingOption(
+      formData,
+      options,
+      registry.definitions
+    );
+    this.state = { selectedOption: selectedOption === -1 ? 0 : selectedOption };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { formData, options, registry = getDefaultRegistry() } = nextProps;
+    const { definitions } = registry;
+    const current = options[this.state.selectedOption];
+    if (current && matchesOption(formData, current, definitions)) {
+      return;
+    }
+    // The data has been changed from the outside and doesn't fit the current
+    // variant anymore, see if another one is a better match.
+    const selectedOption = getMatchingOption(formData, options, definitions);
+    if (selectedOption !== -1) {
+      this.setState({ selectedOption });
+    } else if (!current) {
+      this.setState({ selectedOption: 0 });
+    }
+  }
+
+  onOptionChange = value => {
+    const selectedOption = parseInt(value, 10);
+    if (Number.isNaN(selectedOption)) {
+      return;
+    }
+    const { formData, options, onChange, registry } = this.props;
+    const { definitions } = registry || getDefaultRegistry();
+    const oldSchema = retrieveSchema(
+      options[this.state.selectedOption],
+      definitions,
+      formData
+    );
+    const newSchema = this.getOptionSchema(options[selectedOption]);
+    let newFormData = undefined;
+    if (isObject(formData) && isObject(oldSchema.properties)) {
+      // Strip the properties belonging to the previous variant only, keeping
+      // the ones shared with the new variant or with the base schema.
+      const newProperties = newSchema.properties || {};
+      newFormData = Object.keys(formData).reduce((acc, key) => {
+        if (!(key in oldSchema.properties) || key in newProperties) {
+          acc[key] = formData[key];
+        }
+        return acc;
+      }, {});
+    } else if (isObject(formData)) {
+      newFormData = formData;
+    }
+    this.setState({ selectedOption }, () => {
+      onChange(getDefaultFormState(newSchema, newFormData, definitions));
+    });
+  };
+
+  getOptionSchema(option) {
+    const { baseType, formData, registry = getDefaultRegistry() } = this.props;
+    const schema = retrieveSchema(option, registry.definitions, formData);
+    // Variants usually don't repeat the type declared by the parent schema.
+    if (baseType && !schema.type) {
+      return { ...schema, type: baseType };
+    }
+    return schema;
+  }
+
+  render() {
+    const {
+      kind,
+      options,
+      uiSchema,
+      formData,
+      errorSchema,
+      idSchema,
+      disabled,
+      readonly,
+      onChange,
+      onBlur,
+      registry = getDefaultRegistry(),
+    } = this.props;
+    const { definitions, fields, widgets, formContext, translate } = registry;
+    const themeClassNames = registry.classNames;
+    const { SchemaField } = fields;
+    const { SelectWidget } = widgets;
+    const { selectedOption } = this.state;
+    const enumOptions = options.map((option, index) => ({
+      label: option.title || translate("Option {index}", { index: index + 1 }),
+      value: index,
+    }));
+    const option = options[selectedOption];
+    // The variant title is already displayed by the selector.
+    const optionSchema = option
+      ? { ...this.getOptionSchema(option), title: undefined }
+      : null;
+    const optionIdSchema = optionSchema
+      ? toIdSchema(optionSchema, idSchema.$id, definitions, formData)
+      : idSchema;
+    const { "ui:field": _field, classNames, ...optionUiSchema } = uiSchema;
+
+    return (
+      <div
+        className={[
+          getClassName(themeClassNames, "panel", { type: "default" }),
+          getClassName(themeClassNames, "panelBody"),
+          `field-${kind}`,
+        ].join(" ")}>
+        <div className={getClassName(themeClassNames, "formGroup")}>
+          <SelectWidget
+            id={`${idSchema.$id}__${kind}_select`}
+            schema={{ type: "number", default: 0 }}
+            options={{ enumOptions }}
+            value={selectedOption}
+            onChange={this.onOptionChange}
+            onBlur={onBlur}
+            disabled={disabled}
+            readonly={readonly}
+            formContext={formContext}
+          />
+        </div>
+        {optionSchema &&
+          <SchemaField
+            schema={optionSchema}
+            uiSchema={optionUiSchema}
+            errorSchema={errorSchema}
+            idSchema={optionIdSchema}
+            formData={formData}
+            onChange={onChange}
+            onBlur={onBlur}
+            registry={registry}
+            disabled={disabled}
+            readonly={readonly}
+          />}
+      </div>
+    );
+  }
+}
+
+if (process.env.NODE_ENV !== "production") {
+  MultiSchemaField.propTypes = {
+    kind: PropTypes.oneOf(["oneOf", "anyOf", "type"]).isRequired,
+    options: PropTypes.arrayOf(PropTypes.object).isRequired,
+    baseType: PropTypes.string,
+    uiSchema: PropTypes.object,
+    errorSchema: PropTypes.object,
+    idSchema: PropTypes.object,
+    onChange: PropTypes.func.isRequired,
+    onBlur: PropTypes.func,
+    formData: PropTypes.any,
+    disabled: PropTypes.bool,
+    readonly: PropTypes.bool,
+    registry: PropTypes.shape({
+      widgets: PropTypes.objectOf(
+        PropTypes.oneOfType([PropTypes.func, PropTypes.object])
+      ).isRequired,
+      fields: PropTypes.objectOf(PropTypes.func).isRequired,
+      definitions: PropTypes.object.isRequired,
+      formContext: PropTypes.object.isRequired,
+    }),
+  };
+}
+
+export default MultiSchemaField;
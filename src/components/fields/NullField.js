@@ -0,0 +1,16 @@
+import PropTypes from "prop-types";
+
+function NullField() {
+  // There's nothing to render, the null value being set by the defaults.
+  return null;
+}
+
+if (process.env.NODE_ENV !== "production") {
+  NullField.propTypes = {
+    schema: PropTypes.object.isRequired,
+    onChange: PropTypes.func.isRequired,
+    formData: PropTypes.oneOf([null]),
+  };
+}
+
+export default NullField;
@@ -4,8 +4,197 @@ import PropTypes from "prop-types";
 import {
   orderProperties,
   retrieveSchema,
+  getAdditionalProperties,
+  getAdditionalPropertySchema,
+  getClassName,
+  getDefaultFormState,
   getDefaultRegistry,
+  getSchemaType,
+  getUiOptions,
+  isObject,
 } from "../../utils";
+import { isValid } from "../../validate";
+import AddButton from "../AddButton";
+import IconButton from "../IconButton";
+
+// Width of a row of the layout grid, in columns.
+const GRID_COLUMNS = 12;
+
+function getLayoutFields(layout) {
+  // Lists the properties mentioned by a layout, in its rows and sections.
+  return layout.reduce((fields, item) => {
+    if (Array.isArray(item)) {
+      return fields.concat(getLayoutFields(item));
+    }
+    if (isObject(item)) {
+      return fields.concat(
+        Array.isArray(item.rows) ? getLayoutFields(item.rows) : [item.name]
+      );
+    }
+    return fields.concat(item);
+  }, []);
+}
+
+function getCellWidths(cells) {
+  // The cells without a width share the columns the other ones leave.
+  const widths = cells.map(cell => (isObject(cell) ? cell.width : undefined));
+  const fixed = widths.filter(width => typeof width === "number");
+  const free = GRID_COLUMNS - fixed.reduce((sum, width) => sum + width, 0);
+  const freeWidth = Math.max(
+    1,
+    Math.floor(free / (widths.length - fixed.length))
+  );
+  return widths.map(width => (typeof width === "number" ? width : freeWidth));
+}
+
+// The ways the object properties of an object may be displayed, as sections.
+const SECTION_DISPLAYS = ["tabs", "accordion", "collapsible"];
+
+function getLayout(uiSchema) {
+  return Array.isArray(uiSchema["ui:layout"]) ? uiSchema["ui:layout"] : null;
+}
+
+function getDisplay(uiSchema) {
+  // A layout takes precedence over the display: the object properties are
+  // then laid out like the other ones, instead of being shown as sections.
+  const { display } = getUiOptions(uiSchema);
+  return !getLayout(uiSchema) && SECTION_DISPLAYS.indexOf(display) !== -1
+    ? display
+    : null;
+}
+
+// The names new keys are derived from.
+const NEW_KEY_NAMES = ["newKey", "newkey", "key"];
+
+function getPatternPrefix(pattern) {
+  // The literal start of an anchored pattern, eg. "x-" for "^x-[a-z]+$".
+  const match = /^\^([\w-]*)/.exec(pattern);
+  return match ? match[1] : "";
+}
+
+function getKeyCandidates(schema, count) {
+  // Enumerated names are the only allowed ones, otherwise new keys may have to
+  // start like a pattern property, and are numbered when already in use.
+  const { propertyNames = {}, patternProperties = {} } = schema;
+  if (Array.isArray(propertyNames.enum)) {
+    return propertyNames.enum.filter(key => typeof key === "string");
+  }
+  if (typeof propertyNames.const === "string") {
+    return [propertyNames.const];
+  }
+  const prefixes = [""].concat(
+    Object.keys(patternProperties).map(getPatternPrefix)
+  );
+  const candidates = [];
+  prefixes.forEach(prefix =>
+    NEW_KEY_NAMES.forEach(name => {
+      candidates.push(prefix + name);
+      for (let index = 1; index <= count; index++) {
+        candidates.push(
+          `${prefix}${name}-${index}`,
+          `${prefix}${name}${index}`
+        );
+      }
+    })
+  );
+  return candidates;
+}
+
+function countErrors(errorSchema = {}) {
+  return Object.keys(errorSchema).reduce((count, key) => {
+    return key === "__errors"
+      ? count + errorSchema.__errors.length
+      : count + countErrors(errorSchema[key]);
+  }, 0);
+}
+
+function DefaultObjectFieldTemplate(props) {
+  const { TitleField, DescriptionField, idSchema, formContext } = props;
+  return (
+    <fieldset>
+      {props.title &&
+        <TitleField
+          id={`${idSchema.$id}__title`}
+          title={props.title}
+          required={props.required}
+          formContext={formContext}
+        />}
+      {props.description &&
+        <DescriptionField
+          id={`${idSchema.$id}__description`}
+          description={props.description}
+          formContext={formContext}
+        />}
+      {props.children}
+      {props.canExpand &&
+        <AddButton
+          className="object-property-expand"
+          onClick={props.onAddClick}
+          disabled={props.disabled || props.readonly}
+          classNames={props.classNames}
+        />}
+    </fieldset>
+  );
+}
+
+class PropertyKeyInput extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { value: props.value, error: undefined };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.value !== this.props.value) {
+      this.setState({ value: nextProps.value, error: undefined });
+    }
+  }
+
+  onChange = event => {
+    this.setState({ value: event.target.value });
+  };
+
+  onBlur = () => {
+    // Keys are only renamed once edited, so the property doesn't jump around
+    // while the user is typing.
+    const { value } = this.state;
+    if (value === this.props.value) {
+      this.setState({ error: undefined });
+      return;
+    }
+    const error = this.props.validate(value);
+    this.setState({ error });
+    if (!error) {
+      this.props.onChange(value);
+    }
+  };
+
+  render() {
+    const { id, disabled, readonly, translate, classNames } = this.props;
+    const { value, error } = this.state;
+    const className = [
+      getClassName(classNames, "formGroup"),
+      error ? getClassName(classNames, "fieldError") : "",
+    ].join(" ");
+    return (
+      <div className={className}>
+        <label className={getClassName(classNames, "label")} htmlFor={id}>
+          {translate("Key")}
+        </label>
+        <input
+          id={id}
+          type="text"
+          className={getClassName(classNames, "input")}
+          value={value}
+          disabled={disabled}
+          readOnly={readonly}
+          onChange={this.onChange}
+          onBlur={this.onBlur}
+        />
+        {error && <p className={getClassName(classNames, "help")}>{error}</p>}
+      </div>
+    );
+  }
+}
 
 class ObjectField extends Component {
   static defaultProps = {
@@ -18,11 +207,40 @@ class ObjectField extends Component {
     readonly: false,
   };
 
+  constructor(props) {
+    super(props);
+    const { idSchema, registry = getDefaultRegistry() } = props;
+    // The open sections are remembered by the form, so they're restored when
+    // the field is rendered again, eg. in another tab or step.
+    // The sections having errors are also opened when the field is first
+    // rendered after a failed submission, eg. in a section it opened.
+    const { openSections = {}, failedSubmitCount } = registry;
+    const remembered = openSections[idSchema.$id] || null;
+    this.state = {
+      openSections: failedSubmitCount > 0
+        ? this.getErrorSections(props, remembered) || remembered
+        : remembered,
+    };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { registry = getDefaultRegistry() } = nextProps;
+    const previousRegistry = this.props.registry || getDefaultRegistry();
+    if (registry.failedSubmitCount !== previousRegistry.failedSubmitCount) {
+      const openSections = this.getErrorSections(
+        nextProps,
+        this.state.openSections
+      );
+      if (openSections) {
+        this.setOpenSections(openSections);
+      }
+    }
+  }
+
   isRequired(name) {
-    const schema = this.props.schema;
-    return (
-      Array.isArray(schema.required) && schema.required.indexOf(name) !== -1
-    );
+    const { schema, formData, registry = getDefaultRegistry() } = this.props;
+    const { required } = retrieveSchema(schema, registry.definitions, formData);
+    return Array.isArray(required) && required.indexOf(name) !== -1;
   }
 
   onPropertyChange = name => {
@@ -32,6 +250,486 @@ class ObjectField extends Component {
     };
   };
 
+  onKeyChange = oldKey => {
+    return newKey => {
+      const { formData, onChange } = this.props;
+      // Rebuild the object to preserve the position of the renamed key.
+      const newFormData = Object.keys(formData).reduce((acc, key) => {
+        acc[key === oldKey ? newKey : key] = formData[key];
+        return acc;
+      }, {});
+      onChange(newFormData, { validate: true });
+    };
+  };
+
+  onDropPropertyClick = key => {
+    return event => {
+      event.preventDefault();
+      const { formData, onChange } = this.props;
+      const { [key]: _, ...newFormData } = formData;
+      onChange(newFormData, { validate: true });
+    };
+  };
+
+  onAddPropertyClick = schema => {
+    return event => {
+      event.preventDefault();
+      const {
+        formData,
+        onChange,
+        registry = getDefaultRegistry(),
+      } = this.props;
+      const key = this.getNewKey(schema);
+      if (typeof key === "undefined") {
+        return;
+      }
+      const value = getDefaultFormState(
+        getAdditionalPropertySchema(schema, key),
+        undefined,
+        registry.definitions
+      );
+      onChange({ ...formData, [key]: value }, { validate: false });
+    };
+  };
+
+  getNewKey(schema) {
+    // The first key the schema accepts, among the ones it enumerates or
+    // "newKey" like ones, numbered after the keys already in use.
+    const { formData } = this.props;
+    const candidates = getKeyCandidates(
+      schema,
+      Object.keys(formData || {}).length
+    );
+    return candidates.find(key => !this.validateKey(schema, key));
+  }
+
+  validateKey(schema, newKey) {
+    const { formData, registry = getDefaultRegistry() } = this.props;
+    const { definitions, translate } = registry;
+    if (newKey === "") {
+      return translate("Property name must not be empty");
+    }
+    if (
+      formData.hasOwnProperty(newKey) ||
+      (schema.properties || {}).hasOwnProperty(newKey)
+    ) {
+      return translate('Property name "{name}" is already in use', {
+        name: newKey,
+      });
+    }
+    if (
+      isObject(schema.propertyNames) &&
+      !isValid(schema.propertyNames, newKey, definitions)
+    ) {
+      return translate('Property name "{name}" is not valid', { name: newKey });
+    }
+    if (typeof getAdditionalPropertySchema(schema, newKey) === "undefined") {
+      return translate('Property name "{name}" is not allowed', {
+        name: newKey,
+      });
+    }
+  }
+
+  renderProperty(schema, name) {
+    const {
+      uiSchema,
+      formData,
+      errorSchema,
+      idSchema,
+      disabled,
+      readonly,
+      onBlur,
+      registry = getDefaultRegistry(),
+    } = this.props;
+    const { SchemaField } = registry.fields;
+    return (
+      <SchemaField
+        key={name}
+        name={name}
+        required={this.isRequired(name)}
+        schema={schema.properties[name]}
+        uiSchema={uiSchema[name]}
+        errorSchema={errorSchema[name]}
+        idSchema={idSchema[name]}
+        formData={formData[name]}
+        onChange={this.onPropertyChange(name)}
+        onBlur={onBlur}
+        registry={registry}
+        disabled={disabled}
+        readonly={readonly}
+      />
+    );
+  }
+
+  renderLayoutItem(schema, item, rest, key) {
+    // The properties the layout doesn't mention are rendered in place of the
+    // "*" wildcard. Those missing from the schema, eg. dependent ones which
+    // don't apply, are skipped.
+    const properties = schema.properties || {};
+    const renderField = name => {
+      if (name === "*") {
+        return rest.map(name => this.renderProperty(schema, name));
+      }
+      return properties.hasOwnProperty(name)
+        ? this.renderProperty(schema, name)
+        : null;
+    };
+    if (isObject(item) && Array.isArray(item.rows)) {
+      return (
+        <fieldset key={key} className="layout-section">
+          {item.title && <legend>{item.title}</legend>}
+          {item.rows.map((row, index) =>
+            this.renderLayoutItem(schema, row, rest, index)
+          )}
+        </fieldset>
+      );
+    }
+    if (!Array.isArray(item) && !isObject(item)) {
+      return renderField(item);
+    }
+    const { classNames } = this.props.registry || getDefaultRegistry();
+    const cells = [].concat(item);
+    const widths = getCellWidths(cells);
+    return (
+      <div
+        key={key}
+        className={`${getClassName(classNames, "row")} layout-row`}>
+        {cells.map((cell, index) => {
+          const name = isObject(cell) ? cell.name : cell;
+          const width = widths[index];
+          return (
+            <div
+              key={index}
+              className={getClassName(classNames, "column", { width })}>
+              {renderField(name)}
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  renderLayout(schema, layout, rest) {
+    const items = layout.map((item, index) =>
+      this.renderLayoutItem(schema, item, rest, index)
+    );
+    if (getLayoutFields(layout).indexOf("*") !== -1) {
+      return items;
+    }
+    return items.concat(rest.map(name => this.renderProperty(schema, name)));
+  }
+
+  getSections(props) {
+    // The object properties are displayed as sections, in order.
+    const { uiSchema, formData, registry = getDefaultRegistry() } = props;
+    const { definitions } = registry;
+    const schema = retrieveSchema(props.schema, definitions, formData);
+    const properties = schema.properties || {};
+    let names;
+    try {
+      names = orderProperties(Object.keys(properties), uiSchema["ui:order"]);
+    } catch (err) {
+      return [];
+    }
+    return names.filter(name => {
+      const value = isObject(formData) ? formData[name] : undefined;
+      const propertySchema = retrieveSchema(
+        properties[name],
+        definitions,
+        value
+      );
+      return getSchemaType(propertySchema) === "object";
+    });
+  }
+
+  getOpenSections(sections, display, openSections = this.state.openSections) {
+    const open = openSections
+      ? openSections.filter(name => sections.indexOf(name) !== -1)
+      : [];
+    // A tab is always active, the first accordion section is open initially.
+    if (display === "tabs" && open.length === 0) {
+      return sections.slice(0, 1);
+    }
+    if (display === "accordion" && !openSections) {
+      return sections.slice(0, 1);
+    }
+    return open;
+  }
+
+  setOpenSections(openSections) {
+    const { idSchema, registry = getDefaultRegistry() } = this.props;
+    this.setState({ openSections });
+    if (registry.onOpenSectionsChange) {
+      registry.onOpenSectionsChange(idSchema.$id, openSections);
+    }
+  }
+
+  getErrorSections(props, openSections) {
+    // The open sections revealing the ones having errors, after a failed
+    // submission, or null when they're unchanged.
+    const { uiSchema, errorSchema = {} } = props;
+    const display = getDisplay(uiSchema);
+    if (!display) {
+      return null;
+    }
+    const sections = this.getSections(props);
+    const open = this.getOpenSections(sections, display, openSections);
+    const invalid = sections.filter(name => countErrors(errorSchema[name]));
+    if (display === "collapsible") {
+      return open.concat(invalid.filter(name => open.indexOf(name) === -1));
+    }
+    if (
+      invalid.length > 0 &&
+      !open.some(name => invalid.indexOf(name) !== -1)
+    ) {
+      return [invalid[0]];
+    }
+    return null;
+  }
+
+  onSectionClick = (name, sections, display) => {
+    return event => {
+      event.preventDefault();
+      const open = this.getOpenSections(sections, display);
+      const isOpen = open.indexOf(name) !== -1;
+      if (display === "tabs") {
+        this.setOpenSections([name]);
+      } else if (display === "accordion") {
+        this.setOpenSections(isOpen ? [] : [name]);
+      } else {
+        this.setOpenSections(
+          isOpen
+            ? open.filter(openName => openName !== name)
+            : open.concat(name)
+        );
+      }
+    };
+  };
+
+  getSectionTitle(schema, name) {
+    const { uiSchema, formData, registry = getDefaultRegistry() } = this.props;
+    const { title } = retrieveSchema(
+      schema.properties[name],
+      registry.definitions,
+      formData[name]
+    );
+    return (uiSchema[name] || {})["ui:title"] || title || name;
+  }
+
+  renderErrorBadge(name) {
+    const { classNames } = this.props.registry || getDefaultRegistry();
+    const count = countErrors(this.props.errorSchema[name]);
+    if (!count) {
+      return null;
+    }
+    return (
+      <span>
+        {" "}
+        <span
+          className={`${getClassName(classNames, "badge")} field-error-badge`}>
+          {count}
+        </span>
+      </span>
+    );
+  }
+
+  renderTabs(schema, sections, activeName) {
+    const { idSchema, registry = getDefaultRegistry() } = this.props;
+    const { classNames } = registry;
+    const onClick = name => this.onSectionClick(name, sections, "tabs");
+    const activeId = idSchema[activeName].$id;
+    return (
+      <div key="__sections" className="object-tabs">
+        <ul className={getClassName(classNames, "tabs")} role="tablist">
+          {sections.map(name => {
+            const { $id } = idSchema[name];
+            const active = name === activeName;
+            const errors = countErrors(this.props.errorSchema[name]) > 0;
+            const className = [
+              active && getClassName(classNames, "active"),
+              errors && getClassName(classNames, "fieldError"),
+            ]
+              .filter(Boolean)
+              .join(" ");
+            return (
+              <li key={name} role="presentation" className={className}>
+                <a
+                  href={`#${$id}__panel`}
+                  id={`${$id}__tab`}
+                  role="tab"
+                  aria-selected={active}
+                  aria-controls={`${$id}__panel`}
+                  data-reveals={active ? undefined : $id}
+                  onClick={onClick(name)}>
+                  {this.getSectionTitle(schema, name)}
+                  {this.renderErrorBadge(name)}
+                </a>
+              </li>
+            );
+          })}
+        </ul>
+        <div className={getClassName(classNames, "tabContent")}>
+          <div
+            className={[
+              getClassName(classNames, "tabPane"),
+              getClassName(classNames, "active"),
+            ].join(" ")}
+            id={`${activeId}__panel`}
+            role="tabpanel"
+            aria-labelledby={`${activeId}__tab`}>
+            {this.renderProperty(schema, activeName)}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  renderPanels(schema, sections, openSections, display) {
+    const { idSchema, registry = getDefaultRegistry() } = this.props;
+    const { classNames } = registry;
+    return (
+      <div
+        key="__sections"
+        className={`${getClassName(classNames, "panelGroup")} object-${display}`}>
+        {sections.map(name => {
+          const { $id } = idSchema[name];
+          const open = openSections.indexOf(name) !== -1;
+          const errors = countErrors(this.props.errorSchema[name]) > 0;
+          return (
+            <div
+              key={name}
+              className={getClassName(classNames, "panel", {
+                type: errors ? "danger" : "default",
+              })}>
+              <div className={getClassName(classNames, "panelHeading")}>
+                <h4 className={getClassName(classNames, "panelTitle")}>
+                  <a
+                    href={`#${$id}__panel`}
+                    id={`${$id}__toggle`}
+                    aria-expanded={open}
+                    aria-controls={`${$id}__panel`}
+                    data-reveals={open ? undefined : $id}
+                    onClick={this.onSectionClick(name, sections, display)}>
+                    {this.getSectionTitle(schema, name)}
+                    {this.renderErrorBadge(name)}
+                  </a>
+                </h4>
+              </div>
+              {open &&
+                <div
+                  className={getClassName(classNames, "panelBody")}
+                  id={`${$id}__panel`}>
+                  {this.renderProperty(schema, name)}
+                </div>}
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  renderSections(schema, orderedProperties, display) {
+    // The other properties are rendered first, as usual.
+    const sections = this.getSections(this.props);
+    const openSections = this.getOpenSections(sections, display);
+    const fields = orderedProperties
+      .filter(name => sections.indexOf(name) === -1)
+      .map(name => this.renderProperty(schema, name));
+    if (sections.length === 0) {
+      return fields;
+    }
+    return fields.concat(
+      display === "tabs"
+        ? this.renderTabs(schema, sections, openSections[0])
+        : this.renderPanels(schema, sections, openSections, display)
+    );
+  }
+
+  getRenderedProperties(schema, layout, display, orderedProperties) {
+    // Lists the properties in the order they're rendered, laid out or not.
+    if (layout) {
+      const properties = schema.properties || {};
+      const names = getLayoutFields(layout).filter(
+        name => name === "*" || properties.hasOwnProperty(name)
+      );
+      if (names.indexOf("*") === -1) {
+        return names.concat(orderedProperties);
+      }
+      return names.reduce(
+        (acc, name) => acc.concat(name === "*" ? orderedProperties : name),
+        []
+      );
+    }
+    if (display) {
+      const sections = this.getSections(this.props);
+      return orderedProperties
+        .filter(name => sections.indexOf(name) === -1)
+        .concat(sections);
+    }
+    return orderedProperties;
+  }
+
+  renderAdditionalProperty(schema, key) {
+    const {
+      uiSchema,
+      formData,
+      errorSchema,
+      idSchema,
+      disabled,
+      readonly,
+      onBlur,
+      registry = getDefaultRegistry(),
+    } = this.props;
+    const { SchemaField } = registry.fields;
+    const { classNames } = registry;
+    const fieldIdSchema = idSchema[key] || { $id: `${idSchema.$id}_${key}` };
+    const column = width => getClassName(classNames, "column", { width });
+    return (
+      <div
+        key={key}
+        className={`${getClassName(classNames, "row")} form-additional`}>
+        <div className={`${column(5)} form-additional-key`}>
+          <PropertyKeyInput
+            id={`${fieldIdSchema.$id}__key`}
+            value={key}
+            validate={newKey => this.validateKey(schema, newKey)}
+            translate={registry.translate}
+            classNames={classNames}
+            onChange={this.onKeyChange(key)}
+            disabled={disabled}
+            readonly={readonly}
+          />
+        </div>
+        <div className={`${column(5)} form-additional-value`}>
+          <SchemaField
+            name={key}
+            schema={getAdditionalPropertySchema(schema, key, formData[key])}
+            uiSchema={uiSchema.additionalProperties}
+            errorSchema={errorSchema[key]}
+            idSchema={fieldIdSchema}
+            formData={formData[key]}
+            onChange={this.onPropertyChange(key)}
+            onBlur={onBlur}
+            registry={registry}
+            disabled={disabled}
+            readonly={readonly}
+          />
+        </div>
+        <div className={`${column(2)} form-additional-toolbox`}>
+          <IconButton
+            classNames={classNames}
+            type="danger"
+            icon="remove"
+            className="object-property-remove"
+            tabIndex="-1"
+            disabled={disabled || readonly}
+            onClick={this.onDropPropertyClick(key)}
+          />
+        </div>
+      </div>
+    );
+  }
+
   render() {
     const {
       uiSchema,
@@ -42,17 +740,35 @@ class ObjectField extends Component {
       required,
       disabled,
       readonly,
-      onBlur,
       registry = getDefaultRegistry(),
     } = this.props;
-    const { definitions, fields, formContext } = registry;
-    const { SchemaField, TitleField, DescriptionField } = fields;
-    const schema = retrieveSchema(this.props.schema, definitions);
+    const { definitions, fields, formContext, ObjectFieldTemplate } = registry;
+    const { TitleField, DescriptionField } = fields;
+    const schema = retrieveSchema(this.props.schema, definitions, formData);
     const title = schema.title === undefined ? name : schema.title;
+    const { expandable = true } = getUiOptions(uiSchema);
+    const canExpand =
+      expandable &&
+      (isObject(schema.additionalProperties) ||
+        schema.additionalProperties === true ||
+        Object.keys(schema.patternProperties || {}).length > 0);
+    const layout = getLayout(uiSchema);
+    const display = getDisplay(uiSchema);
     let orderedProperties;
     try {
-      const properties = Object.keys(schema.properties);
-      orderedProperties = orderProperties(properties, uiSchema["ui:order"]);
+      // The properties the layout mentions are left out of the ordering. Its
+      // "*" wildcard is the place of the ordered ones, the one of `ui:order`
+      // still applying among them.
+      const laidOut = layout
+        ? getLayoutFields(layout).filter(name => name !== "*")
+        : [];
+      const properties = Object.keys(schema.properties || {}).filter(
+        name => laidOut.indexOf(name) === -1
+      );
+      const order = Array.isArray(uiSchema["ui:order"])
+        ? uiSchema["ui:order"].filter(name => laidOut.indexOf(name) === -1)
+        : uiSchema["ui:order"];
+      orderedProperties = orderProperties(properties, order);
     } catch (err) {
       return (
         <div>
@@ -64,41 +780,61 @@ class ObjectField extends Component {
         </div>
       );
     }
+    const additionalProperties = getAdditionalProperties(
+      schema,
+      formData
+    ).map(key => ({
+      name: key,
+      content: this.renderAdditionalProperty(schema, key),
+      required: false,
+      hidden: false,
+    }));
+    const properties = this.getRenderedProperties(
+      schema,
+      layout,
+      display,
+      orderedProperties
+    )
+      .map(name => ({
+        name,
+        content: this.renderProperty(schema, name),
+        required: this.isRequired(name),
+        hidden: (uiSchema[name] || {})["ui:widget"] === "hidden",
+      }))
+      .concat(additionalProperties);
+    const templateProps = {
+      title,
+      description: schema.description,
+      TitleField,
+      DescriptionField,
+      properties,
+      required,
+      disabled,
+      readonly,
+      canExpand,
+      onAddClick: this.onAddPropertyClick(schema),
+      schema,
+      uiSchema,
+      idSchema,
+      formData,
+      errorSchema,
+      formContext,
+      classNames: registry.classNames,
+    };
+    const Template = ObjectFieldTemplate || DefaultObjectFieldTemplate;
+    // The children render the properties as they're laid out or displayed, so
+    // templates which don't arrange the properties themselves honor them.
     return (
-      <fieldset>
-        {title &&
-          <TitleField
-            id={`${idSchema.$id}__title`}
-            title={title}
-            required={required}
-            formContext={formContext}
-          />}
-        {schema.description &&
-          <DescriptionField
-            id={`${idSchema.$id}__description`}
-            description={schema.description}
-            formContext={formContext}
-          />}
-        {orderedProperties.map((name, index) => {
-          return (
-            <SchemaField
-              key={index}
-              name={name}
-              required={this.isRequired(name)}
-              schema={schema.properties[name]}
-              uiSchema={uiSchema[name]}
-              errorSchema={errorSchema[name]}
-              idSchema={idSchema[name]}
-              formData={formData[name]}
-              onChange={this.onPropertyChange(name)}
-              onBlur={onBlur}
-              registry={registry}
-              disabled={disabled}
-              readonly={readonly}
-            />
-          );
-        })}
-      </fieldset>
+      <Template {...templateProps}>
+        {layout
+          ? this.renderLayout(schema, layout, orderedProperties)
+          : display
+              ? this.renderSections(schema, orderedProperties, display)
+              : orderedProperties.map(name =>
+                  this.renderProperty(schema, name)
+                )}
+        {additionalProperties.map(property => property.content)}
+      </Template>
     );
   }
 }
@@ -121,6 +857,11 @@ if (process.env.NODE_ENV !== "production") {
       fields: PropTypes.objectOf(PropTypes.func).isRequired,
       definitions: PropTypes.object.isRequired,
       formContext: PropTypes.object.isRequired,
+      ObjectFieldTemplate: PropTypes.func,
+      classNames: PropTypes.object,
+      failedSubmitCount: PropTypes.number,
+      openSections: PropTypes.object,
+      onOpenSectionsChange: PropTypes.func,
     }),
   };
 }
@@ -3,11 +3,16 @@ import PropTypes from "prop-types";
 
 import {
   isMultiSelect,
+  isNullable,
+  isRecursiveReference,
+  getSchemaType,
+  getDefaultFormState,
   retrieveSchema,
   getDefaultRegistry,
   getUiOptions,
   isFilesArray,
   deepEquals,
+  getClassName,
 } from "../../utils";
 import UnsupportedField from "./UnsupportedField";
 
@@ -16,6 +21,7 @@ const COMPONENT_TYPES = {
   array: "ArrayField",
   boolean: "BooleanField",
   integer: "NumberField",
+  null: "NullField",
   number: "NumberField",
   object: "ObjectField",
   string: "StringField",
@@ -30,45 +36,120 @@ function getFieldComponent(schema, uiSchema, fields) {
     return fields[field];
   }
   const componentName = COMPONENT_TYPES[schema.type];
+  if (
+    !componentName &&
+    (schema.oneOf || schema.anyOf || Array.isArray(schema.type))
+  ) {
+    // The variant selector rendered along with the field carries it all.
+    return EmptyField;
+  }
   return componentName in fields ? fields[componentName] : UnsupportedField;
 }
 
+function EmptyField() {
+  return null;
+}
+
+function getTypeOptions(schema, types) {
+  // Each type of a multi-typed field is rendered as a variant of its own.
+  const { title, description, oneOf, anyOf, ...rest } = schema;
+  return types.map(type => ({ ...rest, type, title: type }));
+}
+
+function NullToggle(props) {
+  const { id, isNull, disabled, onClick, translate, classNames } = props;
+  const className = [
+    getClassName(classNames, "button", { type: "default" }),
+    getClassName(classNames, "buttonExtraSmall"),
+    "field-null-toggle",
+  ].join(" ");
+  return (
+    <button
+      type="button"
+      id={`${id}__null`}
+      className={className}
+      disabled={disabled}
+      onClick={onClick}>
+      {isNull ? translate("Set a value") : translate("Set to null")}
+    </button>
+  );
+}
+
+function CollapsedField(props) {
+  const {
+    schema,
+    uiSchema,
+    idSchema,
+    name,
+    disabled,
+    readonly,
+    onExpand,
+  } = props;
+  const { definitions, translate, classNames } =
+    props.registry || getDefaultRegistry();
+  const { title } = retrieveSchema(schema, definitions);
+  const label = uiSchema["ui:title"] || schema.title || title || name;
+  const buttonClassName = [
+    getClassName(classNames, "button", { type: "default" }),
+    getClassName(classNames, "buttonSmall"),
+    "field-expand",
+  ].join(" ");
+  return (
+    <div
+      className={`${getClassName(classNames, "formGroup")} field field-collapsed`}>
+      <button
+        type="button"
+        id={`${idSchema.$id}__expand`}
+        className={buttonClassName}
+        data-reveals={idSchema.$id}
+        disabled={disabled || readonly}
+        onClick={onExpand}>
+        <i className={getClassName(classNames, "icon", { icon: "plus" })} />
+        {" "}
+        {label || translate("Expand")}
+      </button>
+    </div>
+  );
+}
+
 function Label(props) {
-  const { label, required, id } = props;
+  const { label, required, id, classNames } = props;
   if (!label) {
     // See #312: Ensure compatibility with old versions of React.
     return <div />;
   }
   return (
-    <label className="control-label" htmlFor={id}>
+    <label className={getClassName(classNames, "label")} htmlFor={id}>
       {required ? label + REQUIRED_FIELD_SYMBOL : label}
     </label>
   );
 }
 
 function Help(props) {
-  const { help } = props;
+  const { help, classNames } = props;
   if (!help) {
     // See #312: Ensure compatibility with old versions of React.
     return <div />;
   }
+  const className = getClassName(classNames, "help");
   if (typeof help === "string") {
-    return <p className="help-block">{help}</p>;
+    return <p className={className}>{help}</p>;
   }
-  return <div className="help-block">{help}</div>;
+  return <div className={className}>{help}</div>;
 }
 
 function ErrorList(props) {
-  const { errors = [] } = props;
+  const { errors = [], classNames } = props;
   if (errors.length === 0) {
     return <div />;
   }
+  const errorClassName = getClassName(classNames, "errorText");
   return (
     <div>
       <p />
-      <ul className="error-detail bs-callout bs-callout-info">
+      <ul className={`error-detail ${getClassName(classNames, "errorDetail")}`}>
         {errors.map((error, index) => {
-          return <li className="text-danger" key={index}>{error}</li>;
+          return <li className={errorClassName} key={index}>{error}</li>;
         })}
       </ul>
     </div>
@@ -87,6 +168,7 @@ function DefaultTemplate(props) {
     hidden,
     required,
     displayLabel,
+    registry = getDefaultRegistry(),
   } = props;
   if (hidden) {
     return children;
@@ -94,7 +176,13 @@ function DefaultTemplate(props) {
 
   return (
     <div className={classNames}>
-      {displayLabel && <Label label={label} required={required} id={id} />}
+      {displayLabel &&
+        <Label
+          label={label}
+          required={required}
+          id={id}
+          classNames={registry.classNames}
+        />}
       {displayLabel && description ? description : null}
       {children}
       {errors}
@@ -118,9 +206,11 @@ if (process.env.NODE_ENV !== "production") {
     hidden: PropTypes.bool,
     required: PropTypes.bool,
     readonly: PropTypes.bool,
+    dirty: PropTypes.bool,
     displayLabel: PropTypes.bool,
     fields: PropTypes.object,
     formContext: PropTypes.object,
+    registry: PropTypes.object,
   };
 }
 
@@ -128,6 +218,7 @@ DefaultTemplate.defaultProps = {
   hidden: false,
   readonly: false,
   required: false,
+  dirty: false,
   displayLabel: true,
 };
 
@@ -144,10 +235,18 @@ function SchemaFieldRender(props) {
     definitions,
     fields,
     formContext,
+    translate,
+    dirtyFieldIds = {},
     FieldTemplate = DefaultTemplate,
+    classNames: themeClassNames,
   } = registry;
-  const schema = retrieveSchema(props.schema, definitions);
-  const FieldComponent = getFieldComponent(schema, uiSchema, fields);
+  const schema = retrieveSchema(props.schema, definitions, props.formData);
+  const type = getSchemaType(schema);
+  // Widgets only deal with a single type, not with the "null" one.
+  const fieldSchema = Array.isArray(schema.type) && !Array.isArray(type)
+    ? { ...schema, type }
+    : schema;
+  const FieldComponent = getFieldComponent(fieldSchema, uiSchema, fields);
   const { DescriptionField } = fields;
   const disabled = Boolean(props.disabled || uiSchema["ui:disabled"]);
   const readonly = Boolean(props.readonly || uiSchema["ui:readonly"]);
@@ -160,13 +259,13 @@ function SchemaFieldRender(props) {
 
   const uiOptions = getUiOptions(uiSchema);
   let { label: displayLabel = true } = uiOptions;
-  if (schema.type === "array") {
+  if (type === "array") {
     displayLabel = isMultiSelect(schema) || isFilesArray(schema, uiSchema);
   }
-  if (schema.type === "object") {
+  if (type === "object") {
     displayLabel = false;
   }
-  if (schema.type === "boolean" && !uiSchema["ui:widget"]) {
+  if (type === "boolean" && !uiSchema["ui:widget"]) {
     displayLabel = false;
   }
   if (uiSchema["ui:field"]) {
@@ -175,22 +274,71 @@ function SchemaFieldRender(props) {
 
   const { __errors, ...fieldErrorSchema } = errorSchema;
 
+  const id = idSchema.$id;
+  const nullable = isNullable(schema) && type !== "null";
+  const isNull = nullable && props.formData === null;
+
   // See #439: uiSchema: Don't pass consumed class names to child components
-  const field = (
-    <FieldComponent
-      {...props}
-      schema={schema}
-      uiSchema={{ ...uiSchema, classNames: undefined }}
+  const field = isNull
+    ? <p className="field-null-value">null</p>
+    : <FieldComponent
+        {...props}
+        schema={fieldSchema}
+        uiSchema={{ ...uiSchema, classNames: undefined }}
+        disabled={disabled}
+        readonly={readonly}
+        autofocus={autofocus}
+        errorSchema={fieldErrorSchema}
+        formContext={formContext}
+      />;
+
+  const { MultiSchemaField } = fields;
+  const multiSchemaKind = Array.isArray(type)
+    ? "type"
+    : ["oneOf", "anyOf"].find(kind => Array.isArray(schema[kind]));
+  const multiSchema =
+    multiSchemaKind &&
+    !isNull &&
+    <MultiSchemaField
+      kind={multiSchemaKind}
+      options={
+        multiSchemaKind === "type"
+          ? getTypeOptions(schema, type)
+          : schema[multiSchemaKind]
+      }
+      baseType={multiSchemaKind === "type" ? undefined : type}
+      uiSchema={uiSchema}
+      errorSchema={fieldErrorSchema}
+      idSchema={idSchema}
+      formData={props.formData}
+      onChange={props.onChange}
+      onBlur={props.onBlur}
+      registry={registry}
       disabled={disabled}
       readonly={readonly}
-      autofocus={autofocus}
-      errorSchema={fieldErrorSchema}
-      formContext={formContext}
-    />
-  );
-
-  const { type } = schema;
-  const id = idSchema.$id;
+    />;
+  const nullToggle =
+    nullable &&
+    <NullToggle
+      id={id}
+      isNull={isNull}
+      disabled={disabled || readonly}
+      translate={translate}
+      classNames={themeClassNames}
+      onClick={() =>
+        props.onChange(
+          isNull
+            ? getDefaultFormState(fieldSchema, undefined, definitions)
+            : null
+        )}
+    />;
+  const children = multiSchema || nullToggle
+    ? <div>
+        {field}
+        {multiSchema}
+        {nullToggle}
+      </div>
+    : field;
   const label =
     uiSchema["ui:title"] || props.schema.title || schema.title || name;
   const description =
@@ -201,10 +349,12 @@ function SchemaFieldRender(props) {
   const help = uiSchema["ui:help"];
   const hidden = uiSchema["ui:widget"] === "hidden";
   const classNames = [
-    "form-group",
+    getClassName(themeClassNames, "formGroup"),
     "field",
-    `field-${type}`,
-    errors && errors.length > 0 ? "field-error has-error has-danger" : "",
+    `field-${[].concat(type).join(" field-")}`,
+    errors && errors.length > 0
+      ? `field-error ${getClassName(themeClassNames, "fieldError")}`
+      : "",
     uiSchema.classNames,
   ]
     .join(" ")
@@ -219,37 +369,71 @@ function SchemaFieldRender(props) {
       />
     ),
     rawDescription: description,
-    help: <Help help={help} />,
+    help: <Help help={help} classNames={themeClassNames} />,
     rawHelp: typeof help === "string" ? help : undefined,
-    errors: <ErrorList errors={errors} />,
+    errors: <ErrorList errors={errors} classNames={themeClassNames} />,
     rawErrors: errors,
     id,
     label,
     hidden,
     required,
     readonly,
+    dirty: Boolean(dirtyFieldIds[id]),
     displayLabel,
     classNames,
     formContext,
     fields,
     schema,
     uiSchema,
+    registry,
   };
 
-  return <FieldTemplate {...fieldProps}>{field}</FieldTemplate>;
+  return <FieldTemplate {...fieldProps}>{children}</FieldTemplate>;
 }
 
 class SchemaField extends React.Component {
+  state = { expanded: false };
+
   shouldComponentUpdate(nextProps, nextState) {
     // if schemas are equal idSchemas will be equal as well,
     // so it is not necessary to compare
-    return !deepEquals(
-      { ...this.props, idSchema: undefined },
-      { ...nextProps, idSchema: undefined }
+    return (
+      nextState.expanded !== this.state.expanded ||
+      !deepEquals(
+        { ...this.props, idSchema: undefined },
+        { ...nextProps, idSchema: undefined }
+      )
     );
   }
 
+  isCollapsed() {
+    // Recursive schemas without data are only rendered on demand, otherwise
+    // they would be expanded endlessly.
+    const { schema, formData, registry = getDefaultRegistry() } = this.props;
+    return (
+      !this.state.expanded &&
+      typeof formData === "undefined" &&
+      isRecursiveReference(schema, registry.definitions)
+    );
+  }
+
+  onExpand = () => {
+    const { schema, onChange, registry = getDefaultRegistry() } = this.props;
+    this.setState({ expanded: true });
+    const defaults = getDefaultFormState(
+      schema,
+      undefined,
+      registry.definitions
+    );
+    if (typeof defaults !== "undefined") {
+      onChange(defaults);
+    }
+  };
+
   render() {
+    if (this.isCollapsed()) {
+      return <CollapsedField {...this.props} onExpand={this.onExpand} />;
+    }
     return SchemaFieldRender(this.props);
   }
 }
@@ -277,8 +461,11 @@ if (process.env.NODE_ENV !== "production") {
       fields: PropTypes.objectOf(PropTypes.func).isRequired,
       definitions: PropTypes.object.isRequired,
       ArrayFieldTemplate: PropTypes.func,
+      ObjectFieldTemplate: PropTypes.func,
       FieldTemplate: PropTypes.func,
+      classNames: PropTypes.object,
       formContext: PropTypes.object.isRequired,
+      dirtyFieldIds: PropTypes.object,
     }),
   };
 }
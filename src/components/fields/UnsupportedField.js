@@ -1,10 +1,14 @@
 import React from "react";
 
-export default function UnsupportedField({ schema }) {
+import { getDefaultRegistry } from "../../utils";
+
+export default function UnsupportedField(props) {
+  const { schema, registry = getDefaultRegistry() } = props;
   // XXX render json as string so dev can inspect faulty subschema
   return (
     <div className="unsupported-field">
-      Unsupported field schema {JSON.stringify(schema, null, 2)}.
+      {registry.translate("Unsupported field schema")}{" "}
+      {JSON.stringify(schema, null, 2)}.
     </div>
   );
 }
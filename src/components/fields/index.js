@@ -1,6 +1,8 @@
 import ArrayField from "./ArrayField";
 import BooleanField from "./BooleanField";
 import DescriptionField from "./DescriptionField";
+import MultiSchemaField from "./MultiSchemaField";
+import NullField from "./NullField";
 import NumberField from "./NumberField";
 import ObjectField from "./ObjectField";
 import SchemaField from "./SchemaField";
@@ -12,6 +14,8 @@ export default {
   ArrayField,
   BooleanField,
   DescriptionField,
+  MultiSchemaField,
+  NullField,
   NumberField,
   ObjectField,
   SchemaField,
@@ -1,7 +1,13 @@
 import React, { Component } from "react";
 import PropTypes from "prop-types";
 
-import { shouldRender, parseDateString, toDateString, pad } from "../../utils";
+import {
+  shouldRender,
+  parseDateString,
+  toDateString,
+  pad,
+  getClassName,
+} from "../../utils";
 
 function rangeOptions(start, stop) {
   let options = [];
@@ -34,9 +40,8 @@ function DateElement(props) {
     <SelectWidget
       schema={{ type: "integer" }}
       id={id}
-      className="form-control"
       options={{ enumOptions: rangeOptions(range[0], range[1]) }}
-      placeholder={type}
+      placeholder={registry.translate(type)}
       value={value}
       disabled={disabled}
       readonly={readonly}
@@ -119,8 +124,11 @@ class AltDateWidget extends Component {
 
   render() {
     const { id, disabled, readonly, autofocus, registry, onBlur } = this.props;
+    const { classNames } = registry;
+    const buttonClassName = type =>
+      getClassName(classNames, "button", { type });
     return (
-      <ul className="list-inline">
+      <ul className={getClassName(classNames, "inlineList")}>
         {this.dateElementProps.map((elemProps, i) => (
           <li key={i}>
             <DateElement
@@ -136,16 +144,19 @@ class AltDateWidget extends Component {
           </li>
         ))}
         <li>
-          <a href="#" className="btn btn-info btn-now" onClick={this.setNow}>
-            Now
+          <a
+            href="#"
+            className={`${buttonClassName("info")} btn-now`}
+            onClick={this.setNow}>
+            {registry.translate("Now")}
           </a>
         </li>
         <li>
           <a
             href="#"
-            className="btn btn-warning btn-clear"
+            className={`${buttonClassName("warning")} btn-clear`}
             onClick={this.clear}>
-            Clear
+            {registry.translate("Clear")}
           </a>
         </li>
       </ul>
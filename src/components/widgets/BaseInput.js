@@ -1,6 +1,8 @@
 import React from "react";
 import PropTypes from "prop-types";
 
+import { getClassName, getDefaultRegistry } from "../../utils";
+
 function BaseInput(props) {
   // Note: since React 15.2.0 we can't forward unknown element attributes, so we
   // exclude the "options" and "schema" ones here.
@@ -13,7 +15,7 @@ function BaseInput(props) {
     options,
     schema,
     formContext,
-    registry,
+    registry = getDefaultRegistry(),
     ...inputProps
   } = props;
 
@@ -23,7 +25,7 @@ function BaseInput(props) {
   };
   return (
     <input
-      className="form-control"
+      className={getClassName(registry.classNames, "input")}
       readOnly={readonly}
       disabled={disabled}
       autoFocus={autofocus}
@@ -1,6 +1,7 @@
 import React from "react";
 import PropTypes from "prop-types";
 import DescriptionField from "../fields/DescriptionField.js";
+import { getClassName, getDefaultRegistry } from "../../utils";
 
 function CheckboxWidget(props) {
   const {
@@ -13,9 +14,15 @@ function CheckboxWidget(props) {
     label,
     autofocus,
     onChange,
+    registry = getDefaultRegistry(),
   } = props;
+  const { classNames } = registry;
+  const className = [
+    getClassName(classNames, "checkbox"),
+    disabled || readonly ? getClassName(classNames, "disabled") : "",
+  ].join(" ");
   return (
-    <div className={`checkbox ${disabled || readonly ? "disabled" : ""}`}>
+    <div className={className}>
       {schema.description &&
         <DescriptionField description={schema.description} />}
       <label>
@@ -1,6 +1,8 @@
 import React from "react";
 import PropTypes from "prop-types";
 
+import { getClassName, getDefaultRegistry } from "../../utils";
+
 function selectValue(value, selected, all) {
   const at = all.indexOf(value);
   const updated = selected.slice(0, at).concat(value, selected.slice(at));
@@ -14,13 +16,25 @@ function deselectValue(value, selected) {
 }
 
 function CheckboxesWidget(props) {
-  const { id, disabled, options, value, autofocus, readonly, onChange } = props;
+  const {
+    id,
+    disabled,
+    options,
+    value,
+    autofocus,
+    readonly,
+    onChange,
+    registry = getDefaultRegistry(),
+  } = props;
   const { enumOptions, inline } = options;
+  const { classNames } = registry;
   return (
     <div className="checkboxes" id={id}>
       {enumOptions.map((option, index) => {
         const checked = value.indexOf(option.value) !== -1;
-        const disabledCls = disabled || readonly ? "disabled" : "";
+        const disabledCls = disabled || readonly
+          ? getClassName(classNames, "disabled")
+          : "";
         const checkbox = (
           <span>
             <input
@@ -42,10 +56,14 @@ function CheckboxesWidget(props) {
           </span>
         );
         return inline
-          ? <label key={index} className={`checkbox-inline ${disabledCls}`}>
+          ? <label
+              key={index}
+              className={`${getClassName(classNames, "checkboxInline")} ${disabledCls}`}>
               {checkbox}
             </label>
-          : <div key={index} className={`checkbox ${disabledCls}`}>
+          : <div
+              key={index}
+              className={`${getClassName(classNames, "checkbox")} ${disabledCls}`}>
               <label>
                 {checkbox}
               </label>
@@ -1,7 +1,12 @@
 import React, { Component } from "react";
 import PropTypes from "prop-types";
 
-import { dataURItoBlob, shouldRender, setState } from "../../utils";
+import {
+  dataURItoBlob,
+  getDefaultRegistry,
+  shouldRender,
+  setState,
+} from "../../utils";
 
 function addNameToDataURL(dataURL, name) {
   return dataURL.replace(";base64", `;name=${name};base64`);
@@ -28,7 +33,7 @@ function processFiles(files) {
 }
 
 function FilesInfo(props) {
-  const { filesInfo } = props;
+  const { filesInfo, translate } = props;
   if (filesInfo.length === 0) {
     return null;
   }
@@ -38,7 +43,14 @@ function FilesInfo(props) {
         const { name, size, type } = fileInfo;
         return (
           <li key={key}>
-            <strong>{name}</strong> ({type}, {size} bytes)
+            <strong>{name}</strong>
+            {" "}
+            (
+            {type}
+            ,
+            {" "}
+            {translate("{size} bytes", { size })}
+            )
           </li>
         );
       })}
@@ -93,7 +105,14 @@ class FileWidget extends Component {
   };
 
   render() {
-    const { multiple, id, readonly, disabled, autofocus } = this.props;
+    const {
+      multiple,
+      id,
+      readonly,
+      disabled,
+      autofocus,
+      registry = getDefaultRegistry(),
+    } = this.props;
     const { filesInfo } = this.state;
     return (
       <div>
@@ -109,7 +128,7 @@ class FileWidget extends Component {
             multiple={multiple}
           />
         </p>
-        <FilesInfo filesInfo={filesInfo} />
+        <FilesInfo filesInfo={filesInfo} translate={registry.translate} />
       </div>
     );
   }
@@ -1,8 +1,11 @@
 import React from "react";
 import PropTypes from "prop-types";
 
+import { getClassName, getDefaultRegistry } from "../../utils";
+
 function RadioWidget(props) {
   const {
+    id,
     options,
     value,
     required,
@@ -10,7 +13,9 @@ function RadioWidget(props) {
     readonly,
     autofocus,
     onChange,
+    registry = getDefaultRegistry(),
   } = props;
+  const { classNames } = registry;
   // Generating a unique field name to identify this set of radio buttons
   const name = Math.random().toString();
   const { enumOptions, inline } = options;
@@ -20,11 +25,14 @@ function RadioWidget(props) {
     <div className="field-radio-group">
       {enumOptions.map((option, i) => {
         const checked = option.value === value;
-        const disabledCls = disabled || readonly ? "disabled" : "";
+        const disabledCls = disabled || readonly
+          ? getClassName(classNames, "disabled")
+          : "";
         const radio = (
           <span>
             <input
               type="radio"
+              id={`${id}_${i}`}
               checked={checked}
               name={name}
               required={required}
@@ -38,10 +46,14 @@ function RadioWidget(props) {
         );
 
         return inline
-          ? <label key={i} className={`radio-inline ${disabledCls}`}>
+          ? <label
+              key={i}
+              className={`${getClassName(classNames, "radioInline")} ${disabledCls}`}>
               {radio}
             </label>
-          : <div key={i} className={`radio ${disabledCls}`}>
+          : <div
+              key={i}
+              className={`${getClassName(classNames, "radio")} ${disabledCls}`}>
               <label>
                 {radio}
               </label>
@@ -1,7 +1,7 @@
 import React from "react";
 import PropTypes from "prop-types";
 
-import { asNumber } from "../../utils";
+import { asNumber, getClassName, getDefaultRegistry } from "../../utils";
 
 /**
  * This is a silly limitation in the DOM where option change event values are
@@ -49,6 +49,7 @@ function SelectWidget(props) {
     onChange,
     onBlur,
     placeholder,
+    registry = getDefaultRegistry(),
   } = props;
   const { enumOptions } = options;
   const emptyValue = multiple ? [] : "";
@@ -56,7 +57,7 @@ function SelectWidget(props) {
     <select
       id={id}
       multiple={multiple}
-      className="form-control"
+      className={getClassName(registry.classNames, "input")}
       value={typeof value === "undefined" ? emptyValue : value}
       required={required}
       disabled={disabled || readonly}
@@ -1,6 +1,8 @@
 import React from "react";
 import PropTypes from "prop-types";
 
+import { getClassName, getDefaultRegistry } from "../../utils";
+
 function TextareaWidget(props) {
   const {
     id,
@@ -13,6 +15,7 @@ function TextareaWidget(props) {
     autofocus,
     onChange,
     onBlur,
+    registry = getDefaultRegistry(),
   } = props;
   const _onChange = ({ target: { value } }) => {
     return onChange(value === "" ? options.emptyValue : value);
@@ -20,7 +23,7 @@ function TextareaWidget(props) {
   return (
     <textarea
       id={id}
-      className="form-control"
+      className={getClassName(registry.classNames, "input")}
       value={typeof value === "undefined" ? "" : value}
       placeholder={placeholder}
       required={required}
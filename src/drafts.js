@@ -0,0 +1,83 @@
+import { isObject } from "./utils";
+
+/**
+ * The default draft storage. Any object having the same `getItem`, `setItem`
+ * and `removeItem` methods may be used instead, which may also return promises
+ * for asynchronous storages (eg. IndexedDB).
+ */
+export const localStorageAdapter = {
+  getItem(key) {
+    return window.localStorage.getItem(key);
+  },
+  setItem(key, value) {
+    return window.localStorage.setItem(key, value);
+  },
+  removeItem(key) {
+    return window.localStorage.removeItem(key);
+  },
+};
+
+function call(storage, method, ...args) {
+  // Storages may throw synchronously, eg. when they aren't available or full.
+  return new Promise(resolve => resolve(storage[method](...args)));
+}
+
+/**
+ * Returns a version string identifying a schema, drafts saved for another
+ * version of the schema not being restorable as is.
+ */
+export function getSchemaVersion(schema) {
+  const json = JSON.stringify(schema) || "";
+  let hash = 5381;
+  for (let i = 0; i < json.length; i++) {
+    hash = ((hash << 5) + hash + json.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Loads the draft saved under a key, resolving with `null` when there's none.
+ * The drafts saved for another version of the schema are passed to the
+ * `migrate` function, which returns their migrated data, or `undefined` for
+ * them to be dropped.
+ */
+export function loadDraft(storage, key, version, migrate) {
+  return call(storage, "getItem", key).then(json => {
+    if (typeof json !== "string") {
+      return null;
+    }
+    let draft;
+    try {
+      draft = JSON.parse(json);
+    } catch (error) {
+      return null;
+    }
+    if (!isObject(draft) || !draft.hasOwnProperty("formData")) {
+      return null;
+    }
+    const { formData, savedAt } = draft;
+    if (draft.version === version) {
+      return { formData, savedAt };
+    }
+    let migratedData;
+    try {
+      migratedData = migrate ? migrate(formData, draft.version) : undefined;
+    } catch (error) {
+      migratedData = undefined;
+    }
+    if (typeof migratedData === "undefined") {
+      // The draft can't be restored, it's better discarded.
+      return removeDraft(storage, key).then(() => null);
+    }
+    return { formData: migratedData, savedAt };
+  });
+}
+
+export function saveDraft(storage, key, version, formData) {
+  const draft = { version, savedAt: new Date().toISOString(), formData };
+  return call(storage, "setItem", key, JSON.stringify(draft));
+}
+
+export function removeDraft(storage, key) {
+  return call(storage, "removeItem", key);
+}
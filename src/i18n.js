@@ -0,0 +1,49 @@
+/**
+ * Replaces the `{name}` placeholders of a message with the matching params.
+ * Unknown placeholders are left untouched, and lists are joined with commas.
+ */
+export function interpolate(message, params = {}) {
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!params.hasOwnProperty(name)) {
+      return placeholder;
+    }
+    const value = params[name];
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+}
+
+/**
+ * Returns a `translate(message, params)` function, which looks up the built-in
+ * English messages in the `messages` catalog of a locale, falling back to the
+ * untranslated ones.
+ */
+export function createTranslate(locale = {}) {
+  const messages = locale.messages || {};
+  return (message, params) => {
+    const translation = messages.hasOwnProperty(message)
+      ? messages[message]
+      : message;
+    return interpolate(translation, params);
+  };
+}
+
+export const defaultTranslate = createTranslate();
+
+/**
+ * Wraps a validator so that the errors it reports use the message templates of
+ * the `errors` catalog of a locale, which are keyed by failing keyword. The
+ * errors of the other keywords keep the validator messages.
+ */
+export function localizeValidator(validator, locale = {}) {
+  const templates = locale.errors || {};
+  return (formData, schema) => {
+    return validator(formData, schema).map(error => {
+      if (!templates.hasOwnProperty(error.name)) {
+        return error;
+      }
+      const message = interpolate(templates[error.name], error.params);
+      // The stack is computed again from the new message.
+      return { ...error, message, stack: undefined };
+    });
+  };
+}
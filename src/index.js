@@ -1,3 +1,5 @@
 import Form from "./components/Form";
 
+export { default as withTheme } from "./withTheme";
+
 export default Form;
@@ -0,0 +1,60 @@
+export default {
+  messages: {
+    Errors: "Fehler",
+    Submit: "Absenden",
+    "Loading…": "Wird geladen…",
+    "Unable to load the schema: {message}": "Das Schema konnte nicht geladen werden: {message}",
+    "Unsupported field schema": "Nicht unterstütztes Feldschema",
+    yes: "ja",
+    no: "nein",
+    Item: "Element",
+    Key: "Schlüssel",
+    "Property name must not be empty": "Der Eigenschaftsname darf nicht leer sein",
+    'Property name "{name}" is already in use': "Der Eigenschaftsname „{name}“ wird bereits verwendet",
+    'Property name "{name}" is not valid': "Der Eigenschaftsname „{name}“ ist ungültig",
+    'Property name "{name}" is not allowed': "Der Eigenschaftsname „{name}“ ist nicht erlaubt",
+    "Set a value": "Wert festlegen",
+    "Set to null": "Auf null setzen",
+    Expand: "Aufklappen",
+    "Option {index}": "Option {index}",
+    Now: "Jetzt",
+    Clear: "Leeren",
+    year: "Jahr",
+    month: "Monat",
+    day: "Tag",
+    hour: "Stunde",
+    minute: "Minute",
+    second: "Sekunde",
+    "{size} bytes": "{size} Bytes",
+    "A draft of this form has been saved.": "Ein Entwurf dieses Formulars wurde gespeichert.",
+    Restore: "Wiederherstellen",
+    Discard: "Verwerfen",
+    Back: "Zurück",
+    Next: "Weiter",
+    "Step {index}": "Schritt {index}",
+  },
+  errors: {
+    required: "die Eigenschaft „{missingProperty}“ ist erforderlich",
+    type: "muss vom Typ {type} sein",
+    minLength: "muss mindestens {limit} Zeichen lang sein",
+    maxLength: "darf höchstens {limit} Zeichen lang sein",
+    minimum: "muss größer oder gleich {limit} sein",
+    maximum: "muss kleiner oder gleich {limit} sein",
+    exclusiveMinimum: "muss größer als {limit} sein",
+    exclusiveMaximum: "muss kleiner als {limit} sein",
+    multipleOf: "muss ein Vielfaches von {multipleOf} sein",
+    pattern: "muss dem Muster „{pattern}“ entsprechen",
+    format: "muss dem Format „{format}“ entsprechen",
+    enum: "muss einer der folgenden Werte sein: {allowedValues}",
+    const: "muss gleich {allowedValue} sein",
+    minItems: "muss mindestens {limit} Elemente enthalten",
+    maxItems: "darf höchstens {limit} Elemente enthalten",
+    uniqueItems: "darf keine doppelten Elemente enthalten",
+    minProperties: "muss mindestens {limit} Eigenschaften haben",
+    maxProperties: "darf höchstens {limit} Eigenschaften haben",
+    additionalProperties: "darf die zusätzliche Eigenschaft „{additionalProperty}“ nicht enthalten",
+    anyOf: "muss mindestens einem der erlaubten Schemas entsprechen",
+    oneOf: "muss genau einem der erlaubten Schemas entsprechen",
+    not: "darf dem verbotenen Schema nicht entsprechen",
+  },
+};
@@ -0,0 +1,62 @@
+// The built-in messages are written in English, this catalog lists them all
+// for reference. Its validation messages are the same for all validators.
+export default {
+  messages: {
+    Errors: "Errors",
+    Submit: "Submit",
+    "Loading…": "Loading…",
+    "Unable to load the schema: {message}": "Unable to load the schema: {message}",
+    "Unsupported field schema": "Unsupported field schema",
+    yes: "yes",
+    no: "no",
+    Item: "Item",
+    Key: "Key",
+    "Property name must not be empty": "Property name must not be empty",
+    'Property name "{name}" is already in use': 'Property name "{name}" is already in use',
+    'Property name "{name}" is not valid': 'Property name "{name}" is not valid',
+    'Property name "{name}" is not allowed': 'Property name "{name}" is not allowed',
+    "Set a value": "Set a value",
+    "Set to null": "Set to null",
+    Expand: "Expand",
+    "Option {index}": "Option {index}",
+    Now: "Now",
+    Clear: "Clear",
+    year: "year",
+    month: "month",
+    day: "day",
+    hour: "hour",
+    minute: "minute",
+    second: "second",
+    "{size} bytes": "{size} bytes",
+    "A draft of this form has been saved.": "A draft of this form has been saved.",
+    Restore: "Restore",
+    Discard: "Discard",
+    Back: "Back",
+    Next: "Next",
+    "Step {index}": "Step {index}",
+  },
+  errors: {
+    required: 'requires property "{missingProperty}"',
+    type: "must be of type {type}",
+    minLength: "must be at least {limit} characters long",
+    maxLength: "must be at most {limit} characters long",
+    minimum: "must be greater than or equal to {limit}",
+    maximum: "must be less than or equal to {limit}",
+    exclusiveMinimum: "must be greater than {limit}",
+    exclusiveMaximum: "must be less than {limit}",
+    multipleOf: "must be a multiple of {multipleOf}",
+    pattern: 'must match the pattern "{pattern}"',
+    format: 'must match the format "{format}"',
+    enum: "must be one of: {allowedValues}",
+    const: "must be equal to {allowedValue}",
+    minItems: "must have at least {limit} items",
+    maxItems: "must have at most {limit} items",
+    uniqueItems: "must not contain duplicate items",
+    minProperties: "must have at least {limit} properties",
+    maxProperties: "must have at most {limit} properties",
+    additionalProperties: 'must not have the additional property "{additionalProperty}"',
+    anyOf: "must match at least one of the allowed schemas",
+    oneOf: "must match exactly one of the allowed schemas",
+    not: "must not match the forbidden schema",
+  },
+};
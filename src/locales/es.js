@@ -0,0 +1,60 @@
+export default {
+  messages: {
+    Errors: "Errores",
+    Submit: "Enviar",
+    "Loading…": "Cargando…",
+    "Unable to load the schema: {message}": "No se pudo cargar el esquema: {message}",
+    "Unsupported field schema": "Esquema de campo no admitido",
+    yes: "sí",
+    no: "no",
+    Item: "Elemento",
+    Key: "Clave",
+    "Property name must not be empty": "El nombre de la propiedad no puede estar vacío",
+    'Property name "{name}" is already in use': "El nombre de propiedad «{name}» ya está en uso",
+    'Property name "{name}" is not valid': "El nombre de propiedad «{name}» no es válido",
+    'Property name "{name}" is not allowed': "El nombre de propiedad «{name}» no está permitido",
+    "Set a value": "Establecer un valor",
+    "Set to null": "Establecer a null",
+    Expand: "Desplegar",
+    "Option {index}": "Opción {index}",
+    Now: "Ahora",
+    Clear: "Borrar",
+    year: "año",
+    month: "mes",
+    day: "día",
+    hour: "hora",
+    minute: "minuto",
+    second: "segundo",
+    "{size} bytes": "{size} bytes",
+    "A draft of this form has been saved.": "Se ha guardado un borrador de este formulario.",
+    Restore: "Restaurar",
+    Discard: "Descartar",
+    Back: "Atrás",
+    Next: "Siguiente",
+    "Step {index}": "Paso {index}",
+  },
+  errors: {
+    required: "la propiedad «{missingProperty}» es obligatoria",
+    type: "debe ser de tipo {type}",
+    minLength: "debe tener al menos {limit} caracteres",
+    maxLength: "debe tener como máximo {limit} caracteres",
+    minimum: "debe ser mayor o igual que {limit}",
+    maximum: "debe ser menor o igual que {limit}",
+    exclusiveMinimum: "debe ser mayor que {limit}",
+    exclusiveMaximum: "debe ser menor que {limit}",
+    multipleOf: "debe ser múltiplo de {multipleOf}",
+    pattern: "debe coincidir con el patrón «{pattern}»",
+    format: "debe coincidir con el formato «{format}»",
+    enum: "debe ser uno de los valores: {allowedValues}",
+    const: "debe ser igual a {allowedValue}",
+    minItems: "debe tener al menos {limit} elementos",
+    maxItems: "debe tener como máximo {limit} elementos",
+    uniqueItems: "no debe contener elementos duplicados",
+    minProperties: "debe tener al menos {limit} propiedades",
+    maxProperties: "debe tener como máximo {limit} propiedades",
+    additionalProperties: "no debe tener la propiedad adicional «{additionalProperty}»",
+    anyOf: "debe coincidir con al menos uno de los esquemas permitidos",
+    oneOf: "debe coincidir exactamente con uno de los esquemas permitidos",
+    not: "no debe coincidir con el esquema prohibido",
+  },
+};
@@ -0,0 +1,60 @@
+export default {
+  messages: {
+    Errors: "Erreurs",
+    Submit: "Envoyer",
+    "Loading…": "Chargement…",
+    "Unable to load the schema: {message}": "Impossible de charger le schéma : {message}",
+    "Unsupported field schema": "Schéma de champ non pris en charge",
+    yes: "oui",
+    no: "non",
+    Item: "Élément",
+    Key: "Clé",
+    "Property name must not be empty": "Le nom de la propriété ne doit pas être vide",
+    'Property name "{name}" is already in use': "Le nom de propriété « {name} » est déjà utilisé",
+    'Property name "{name}" is not valid': "Le nom de propriété « {name} » n'est pas valide",
+    'Property name "{name}" is not allowed': "Le nom de propriété « {name} » n'est pas autorisé",
+    "Set a value": "Saisir une valeur",
+    "Set to null": "Mettre à null",
+    Expand: "Déplier",
+    "Option {index}": "Option {index}",
+    Now: "Maintenant",
+    Clear: "Effacer",
+    year: "année",
+    month: "mois",
+    day: "jour",
+    hour: "heure",
+    minute: "minute",
+    second: "seconde",
+    "{size} bytes": "{size} octets",
+    "A draft of this form has been saved.": "Un brouillon de ce formulaire a été enregistré.",
+    Restore: "Restaurer",
+    Discard: "Abandonner",
+    Back: "Précédent",
+    Next: "Suivant",
+    "Step {index}": "Étape {index}",
+  },
+  errors: {
+    required: "la propriété « {missingProperty} » est requise",
+    type: "doit être de type {type}",
+    minLength: "doit contenir au moins {limit} caractères",
+    maxLength: "doit contenir au plus {limit} caractères",
+    minimum: "doit être supérieur ou égal à {limit}",
+    maximum: "doit être inférieur ou égal à {limit}",
+    exclusiveMinimum: "doit être supérieur à {limit}",
+    exclusiveMaximum: "doit être inférieur à {limit}",
+    multipleOf: "doit être un multiple de {multipleOf}",
+    pattern: "doit correspondre au motif « {pattern} »",
+    format: "doit correspondre au format « {format} »",
+    enum: "doit être l'une des valeurs : {allowedValues}",
+    const: "doit être égal à {allowedValue}",
+    minItems: "doit contenir au moins {limit} éléments",
+    maxItems: "doit contenir au plus {limit} éléments",
+    uniqueItems: "ne doit pas contenir de doublons",
+    minProperties: "doit contenir au moins {limit} propriétés",
+    maxProperties: "doit contenir au plus {limit} propriétés",
+    additionalProperties: "ne doit pas contenir la propriété supplémentaire « {additionalProperty} »",
+    anyOf: "doit correspondre à au moins un des schémas autorisés",
+    oneOf: "doit correspondre à exactement un des schémas autorisés",
+    not: "ne doit pas correspondre au schéma interdit",
+  },
+};
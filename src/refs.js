@@ -0,0 +1,313 @@
+import { isObject } from "./utils";
+
+// Keywords holding data rather than subschemas, which must be left untouched.
+const DATA_KEYWORDS = ["default", "enum", "const", "examples"];
+// Prefix of the definitions holding the targets of arbitrary local pointers.
+const LOCAL_POINTER_PREFIX = "root:";
+
+function escapePointerToken(token) {
+  return token.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function splitRef($ref) {
+  const index = $ref.indexOf("#");
+  if (index === -1) {
+    return { uri: $ref, fragment: "" };
+  }
+  return { uri: $ref.slice(0, index), fragment: $ref.slice(index + 1) };
+}
+
+function isAbsoluteUri(uri) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(uri);
+}
+
+function getBaseUri(schema) {
+  const $id = schema.$id || schema.id;
+  return typeof $id === "string" && $id.indexOf("#") !== 0
+    ? splitRef($id).uri
+    : "";
+}
+
+/**
+ * Resolves a possibly relative uri against a base one, the same way a browser
+ * resolves links.
+ */
+export function resolveUri(base, uri) {
+  if (!uri) {
+    return base;
+  }
+  if (isAbsoluteUri(uri) || !base) {
+    return uri;
+  }
+  const [
+    ,
+    origin = "",
+    basePath,
+  ] = /^([a-z][a-z0-9+.-]*:\/\/[^/]*)?(.*)$/i.exec(base);
+  const path = uri.indexOf("/") === 0
+    ? uri
+    : basePath.slice(0, basePath.lastIndexOf("/") + 1) + uri;
+  // Remove the dot segments, keeping the leading empty one of absolute paths.
+  const segments = path.split("/").reduce((acc, segment, index, all) => {
+    const isLast = index === all.length - 1;
+    if (segment === "..") {
+      if (acc.length > 1 || (acc.length === 1 && acc[0] !== "")) {
+        acc.pop();
+      }
+    } else if (segment !== ".") {
+      acc.push(segment);
+    }
+    if ((segment === "." || segment === "..") && isLast) {
+      acc.push("");
+    }
+    return acc;
+  }, []);
+  return origin + segments.join("/");
+}
+
+function walkRefs(schema, callback) {
+  // Calls the callback with every `$ref` found in a schema, returning a copy
+  // of the schema where each of them is replaced with the callback result.
+  if (Array.isArray(schema)) {
+    return schema.map(item => walkRefs(item, callback));
+  }
+  if (!isObject(schema)) {
+    return schema;
+  }
+  return Object.keys(schema).reduce((acc, key) => {
+    const value = schema[key];
+    if (key === "$ref" && typeof value === "string") {
+      acc[key] = callback(value);
+    } else if (DATA_KEYWORDS.indexOf(key) !== -1) {
+      acc[key] = value;
+    } else {
+      acc[key] = walkRefs(value, callback);
+    }
+    return acc;
+  }, {});
+}
+
+function getDocumentUris(schema, baseUri) {
+  const uris = [];
+  walkRefs(schema, $ref => {
+    const { uri } = splitRef($ref);
+    const absoluteUri = resolveUri(baseUri, uri);
+    if (uri && absoluteUri !== baseUri && uris.indexOf(absoluteUri) === -1) {
+      uris.push(absoluteUri);
+    }
+    return $ref;
+  });
+  return uris;
+}
+
+/**
+ * Lists the uris of the external documents referenced by a schema, directly
+ * or through the already loaded documents, which still have to be loaded.
+ */
+export function getMissingDocuments(schema, documents = {}) {
+  const rootUri = getBaseUri(schema);
+  const seen = [rootUri];
+  const missing = [];
+  const visit = (document, baseUri) => {
+    getDocumentUris(document, baseUri).forEach(uri => {
+      if (seen.indexOf(uri) !== -1) {
+        return;
+      }
+      seen.push(uri);
+      if (documents.hasOwnProperty(uri)) {
+        visit(documents[uri], uri);
+      } else {
+        missing.push(uri);
+      }
+    });
+  };
+  visit(schema, rootUri);
+  return missing;
+}
+
+const loaderCaches = new WeakMap();
+
+function loadDocument(schemaLoader, uri) {
+  // Documents are cached per loader, so forms sharing a loader share their
+  // documents as well.
+  if (!loaderCaches.has(schemaLoader)) {
+    loaderCaches.set(schemaLoader, {});
+  }
+  const cache = loaderCaches.get(schemaLoader);
+  if (!cache.hasOwnProperty(uri)) {
+    cache[uri] = Promise.resolve(schemaLoader(uri)).catch(error => {
+      // Don't cache failures, so the document can be loaded again later.
+      delete cache[uri];
+      throw error;
+    });
+  }
+  return cache[uri];
+}
+
+/**
+ * Asynchronously loads all the external documents referenced by a schema,
+ * recursively, using the provided `schemaLoader(uri)` function. Resolves with
+ * an object mapping every document uri to the loaded document.
+ */
+export function loadSchemaDocuments(schema, schemaLoader, documents = {}) {
+  const missing = getMissingDocuments(schema, documents);
+  if (missing.length === 0) {
+    return Promise.resolve(documents);
+  }
+  return Promise.all(
+    missing.map(uri => loadDocument(schemaLoader, uri))
+  ).then(loaded => {
+    const newDocuments = missing.reduce(
+      (acc, uri, index) => ({ ...acc, [uri]: loaded[index] }),
+      documents
+    );
+    return loadSchemaDocuments(schema, schemaLoader, newDocuments);
+  });
+}
+
+function findAnchor(document, anchor) {
+  const definitions = document.definitions || {};
+  const [key] = Object.keys(definitions).filter(key => {
+    const { $id, id } = definitions[key];
+    return ($id || id) === `#${anchor}`;
+  });
+  return typeof key === "undefined"
+    ? undefined
+    : `/definitions/${escapePointerToken(key)}`;
+}
+
+function getPointerValue(schema, pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map(token => token.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((current, token) => {
+      if (!isObject(current) && !Array.isArray(current)) {
+        return undefined;
+      }
+      return current[token];
+    }, schema);
+}
+
+function stripBaseIds(schema) {
+  // Embedded documents must not redefine the base uri their rewritten
+  // references are resolved against by the validator.
+  if (Array.isArray(schema)) {
+    return schema.map(stripBaseIds);
+  }
+  if (!isObject(schema)) {
+    return schema;
+  }
+  return Object.keys(schema).reduce((acc, key) => {
+    const value = schema[key];
+    if (DATA_KEYWORDS.indexOf(key) !== -1) {
+      acc[key] = value;
+    } else if (
+      (key !== "$id" && key !== "id") ||
+      typeof value !== "string" ||
+      value.indexOf("#") === 0
+    ) {
+      acc[key] = stripBaseIds(value);
+    }
+    return acc;
+  }, {});
+}
+
+// The last bundle of each schema, with the documents it was bundled with.
+const bundleCaches = new WeakMap();
+
+/**
+ * Bundles a schema with the external documents it references into a single
+ * schema only using local `#/definitions/...` references, which is what the
+ * rest of the library knows how to resolve. External documents are embedded in
+ * the definitions keyed by their uri, and the targets of arbitrary local JSON
+ * pointers (eg. `#/properties/foo`) are exposed as definitions too.
+ *
+ * The schema itself is returned when there's nothing to rewrite, and the same
+ * bundle as long as the schema and the documents don't change, so that the
+ * validators compile it once.
+ */
+export function bundleSchema(schema, documents = {}) {
+  if (!isObject(schema)) {
+    return schema;
+  }
+  const cache = bundleCaches.get(schema);
+  if (cache && cache.documents === documents) {
+    return cache.bundled;
+  }
+  const bundled = bundleDocuments(schema, documents);
+  bundleCaches.set(schema, { documents, bundled });
+  return bundled;
+}
+
+function bundleDocuments(schema, documents) {
+  const rootUri = getBaseUri(schema);
+  const localPointers = [];
+
+  const toDefinitionRef = (documentKey, pointer) =>
+    `#/definitions/${escapePointerToken(documentKey)}${pointer}`;
+
+  let rewritten = false;
+  const rewrite = baseUri => $ref => {
+    const newRef = rewriteRef(baseUri, $ref);
+    rewritten = rewritten || newRef !== $ref;
+    return newRef;
+  };
+
+  const rewriteRef = (baseUri, $ref) => {
+    const { uri, fragment } = splitRef($ref);
+    const documentUri = resolveUri(baseUri, uri);
+    const isRoot = documentUri === rootUri;
+    if (!isRoot && !documents.hasOwnProperty(documentUri)) {
+      // Left as is, failing later on if the reference is actually used.
+      return $ref;
+    }
+    if (fragment.indexOf("/") !== 0 && fragment !== "") {
+      // Plain name fragment, looking for the matching `$id` anchor.
+      if (isRoot && !uri) {
+        return $ref;
+      }
+      const pointer = findAnchor(
+        isRoot ? schema : documents[documentUri],
+        fragment
+      );
+      if (typeof pointer === "undefined") {
+        return $ref;
+      }
+      return isRoot ? `#${pointer}` : toDefinitionRef(documentUri, pointer);
+    }
+    if (!isRoot) {
+      return toDefinitionRef(documentUri, fragment);
+    }
+    if (
+      fragment === "" ||
+      fragment.indexOf("/definitions/") === 0 ||
+      !isObject(getPointerValue(schema, fragment))
+    ) {
+      return `#${fragment}`;
+    }
+    if (localPointers.indexOf(fragment) === -1) {
+      localPointers.push(fragment);
+    }
+    return toDefinitionRef(LOCAL_POINTER_PREFIX + fragment, "");
+  };
+
+  const bundled = walkRefs(schema, rewrite(rootUri));
+  const definitions = Object.keys(documents).reduce(
+    (acc, uri) => {
+      acc[uri] = stripBaseIds(walkRefs(documents[uri], rewrite(uri)));
+      return acc;
+    },
+    { ...bundled.definitions }
+  );
+  localPointers.forEach(pointer => {
+    definitions[LOCAL_POINTER_PREFIX + pointer] = getPointerValue(
+      bundled,
+      pointer
+    );
+  });
+  if (Object.keys(documents).length === 0 && localPointers.length === 0) {
+    return rewritten ? bundled : schema;
+  }
+  return { ...bundled, definitions };
+}
@@ -0,0 +1,161 @@
+import { getErrorFieldPath, isObject, retrieveSchema } from "./utils";
+
+// Keywords constraining the whole object, which can't be checked on a step.
+const OBJECT_KEYWORDS = ["minProperties", "maxProperties"];
+// Keywords applying to the undeclared properties, which are all rendered on
+// the step having the "*" wildcard.
+const ADDITIONAL_KEYWORDS = [
+  "additionalProperties",
+  "patternProperties",
+  "propertyNames",
+];
+
+/**
+ * Returns the steps declared by the `ui:steps` directive of the root uiSchema,
+ * each one having a `title` and the list of the root `fields` it renders, or
+ * `null` when the form is rendered all at once.
+ */
+export function getSteps(uiSchema) {
+  const steps = uiSchema["ui:steps"];
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return null;
+  }
+  return steps.map(step => (Array.isArray(step) ? { fields: step } : step));
+}
+
+function resolveSchema(schema, formData) {
+  // The root schema is resolved against the whole form data, so conditions on
+  // the properties of other steps still apply.
+  return retrieveSchema(schema, schema.definitions || {}, formData);
+}
+
+function getDeclaredFields(steps, index) {
+  // Without any "*" wildcard, the properties no step lists are rendered at the
+  // end of the last step, so that none is left out, eg. dependent ones.
+  const { fields } = steps[index];
+  const hasWildcard = steps.some(step => step.fields.indexOf("*") !== -1);
+  return !hasWildcard && index === steps.length - 1
+    ? fields.concat("*")
+    : fields;
+}
+
+/**
+ * Returns the names of the root properties rendered on a step, in order. The
+ * "*" wildcard stands for the properties no other step renders, including
+ * the additional ones found in the form data.
+ */
+export function getStepFields(steps, index, schema, formData) {
+  const fields = getDeclaredFields(steps, index);
+  const wildcardIndex = fields.indexOf("*");
+  if (wildcardIndex === -1) {
+    return fields;
+  }
+  const { properties = {} } = resolveSchema(schema, formData);
+  const claimed = steps.reduce(
+    (claimed, step) => claimed.concat(step.fields),
+    []
+  );
+  const names = Object.keys(properties).concat(
+    isObject(formData) ? Object.keys(formData) : []
+  );
+  const rest = names.filter(
+    (name, i) => claimed.indexOf(name) === -1 && names.indexOf(name) === i
+  );
+  const stepFields = [...fields];
+  stepFields.splice(wildcardIndex, 1, ...rest);
+  return stepFields;
+}
+
+/**
+ * Returns the schema of a step, only declaring the root properties it renders.
+ */
+export function getStepSchema(steps, index, schema, formData) {
+  const { definitions = {} } = schema;
+  const resolvedSchema = resolveSchema(schema, formData);
+  const fields = getStepFields(steps, index, schema, formData);
+  const { properties = {}, required = [] } = resolvedSchema;
+  const omitted = getDeclaredFields(steps, index).indexOf("*") === -1
+    ? OBJECT_KEYWORDS.concat(ADDITIONAL_KEYWORDS)
+    : OBJECT_KEYWORDS;
+  const stepSchema = Object.keys(resolvedSchema)
+    .filter(key => omitted.indexOf(key) === -1)
+    .reduce((acc, key) => {
+      acc[key] = resolvedSchema[key];
+      return acc;
+    }, {});
+  return {
+    ...stepSchema,
+    properties: fields
+      .filter(name => properties.hasOwnProperty(name))
+      .reduce((acc, name) => {
+        acc[name] = properties[name];
+        return acc;
+      }, {}),
+    required: required.filter(name => fields.indexOf(name) !== -1),
+    definitions,
+  };
+}
+
+/**
+ * Returns the errors of the whole form data relating to the fields rendered on
+ * a step. The errors of the root object itself are left to the final
+ * submission, except for the undeclared properties on the "*" wildcard step.
+ */
+export function getStepErrors(steps, index, schema, formData, errors) {
+  const fields = getStepFields(steps, index, schema, formData);
+  const hasWildcard = getDeclaredFields(steps, index).indexOf("*") !== -1;
+  return errors.filter(error => {
+    const fieldPath = getErrorFieldPath(error);
+    if (fieldPath.length === 0) {
+      return hasWildcard && ADDITIONAL_KEYWORDS.indexOf(error.name) !== -1;
+    }
+    return fields.indexOf(String(fieldPath[0])) !== -1;
+  });
+}
+
+/**
+ * Returns the part of the form data rendered on a step.
+ */
+export function getStepData(steps, index, schema, formData) {
+  if (!isObject(formData)) {
+    return formData;
+  }
+  return getStepFields(steps, index, schema, formData)
+    .filter(name => formData.hasOwnProperty(name))
+    .reduce((acc, name) => {
+      acc[name] = formData[name];
+      return acc;
+    }, {});
+}
+
+/**
+ * Merges the data of a step back into the whole form data, the properties
+ * removed from the step data being removed from the form data.
+ */
+export function mergeStepData(steps, index, schema, formData, stepData) {
+  const fields = getStepFields(steps, index, schema, formData);
+  const otherData = Object.keys(isObject(formData) ? formData : {})
+    .filter(name => fields.indexOf(name) === -1)
+    .reduce((acc, name) => {
+      acc[name] = formData[name];
+      return acc;
+    }, {});
+  return { ...otherData, ...stepData };
+}
+
+/**
+ * Returns the index of the step rendering the field at a data path, or -1
+ * when no step does, eg. for the root field itself.
+ */
+export function getFieldStep(steps, schema, formData, path) {
+  if (path.length === 0) {
+    return -1;
+  }
+  const name = String(path[0]);
+  for (let index = 0; index < steps.length; index++) {
+    if (getStepFields(steps, index, schema, formData).indexOf(name) !== -1) {
+      return index;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,52 @@
+/**
+ * The default theme, which styles the built-in components with Bootstrap 3.
+ *
+ * A theme may also provide its own `fields`, `widgets`, `FieldTemplate`,
+ * `ArrayFieldTemplate`, `ObjectFieldTemplate` and `ErrorList`, the built-in
+ * ones being used for those it doesn't provide. Its `classNames` are the class
+ * names given to the parts of the built-in components, which `{placeholders}`
+ * are replaced with the variant of the part, eg. the type of a button.
+ */
+export default {
+  classNames: {
+    // Grid
+    row: "row",
+    column: "col-xs-{width}",
+    columnOffset: "col-xs-offset-{width}",
+    alignRight: "text-right",
+    // Fields
+    formGroup: "form-group",
+    fieldError: "has-error has-danger",
+    label: "control-label",
+    input: "form-control",
+    help: "help-block",
+    errorDetail: "bs-callout bs-callout-info",
+    errorText: "text-danger",
+    checkbox: "checkbox",
+    checkboxInline: "checkbox-inline",
+    radio: "radio",
+    radioInline: "radio-inline",
+    disabled: "disabled",
+    inlineList: "list-inline",
+    // Buttons, which types are "default", "info", "warning", "danger" or "link"
+    button: "btn btn-{type}",
+    buttonSmall: "btn-sm",
+    buttonExtraSmall: "btn-xs",
+    buttonGroup: "btn-group",
+    icon: "glyphicon glyphicon-{icon}",
+    // Containers, which types are "default", "info" or "danger"
+    alert: "alert alert-{type}",
+    panel: "panel panel-{type}",
+    panelGroup: "panel-group",
+    panelHeading: "panel-heading",
+    panelTitle: "panel-title",
+    panelBody: "panel-body",
+    list: "list-group",
+    listItem: "list-group-item",
+    tabs: "nav nav-tabs",
+    tabContent: "tab-content",
+    tabPane: "tab-pane",
+    active: "active",
+    badge: "badge",
+  },
+};
@@ -1,6 +1,10 @@
 import React from "react";
 import "setimmediate";
 
+import { defaultTranslate, interpolate } from "./i18n";
+import defaultTheme from "./themes/bootstrap";
+import { isValid } from "./validate";
+
 const widgetMap = {
   boolean: {
     checkbox: "CheckboxWidget",
@@ -58,9 +62,23 @@ export function getDefaultRegistry() {
     widgets: require("./components/widgets").default,
     definitions: {},
     formContext: {},
+    translate: defaultTranslate,
+    dirtyFieldIds: {},
+    failedSubmitCount: 0,
+    openSections: {},
+    classNames: defaultTheme.classNames,
   };
 }
 
+/**
+ * Returns the class names a theme gives to a part of the built-in components,
+ * eg. `getClassName(classNames, "button", {type: "info"})`, or an empty string
+ * when the theme doesn't style it.
+ */
+export function getClassName(classNames = {}, part, params) {
+  return interpolate(classNames[part] || "", params);
+}
+
 export function getWidget(schema, widget, registeredWidgets = {}) {
   const { type } = schema;
 
@@ -101,7 +119,30 @@ export function getWidget(schema, widget, registeredWidgets = {}) {
   throw new Error(`No widget "${widget}" for type "${type}"`);
 }
 
-function computeDefaults(schema, parentDefaults, definitions = {}) {
+function computeDefaults(
+  schema,
+  parentDefaults,
+  definitions = {},
+  rawFormData
+) {
+  const formData = isObject(rawFormData) ? rawFormData : {};
+  if (
+    typeof rawFormData === "undefined" &&
+    isRecursiveReference(schema, definitions)
+  ) {
+    // Don't expand recursive schemas further than the form data goes.
+    return parentDefaults;
+  }
+  if (isResolvable(schema)) {
+    // Use the defaults of the resolved schema for this node.
+    const resolvedSchema = retrieveSchema(schema, definitions, formData);
+    return computeDefaults(
+      resolvedSchema,
+      parentDefaults,
+      definitions,
+      rawFormData
+    );
+  }
   // Compute the defaults recursively: give highest priority to deepest nodes.
   let defaults = parentDefaults;
   if (isObject(defaults) && isObject(schema.default)) {
@@ -111,10 +152,6 @@ function computeDefaults(schema, parentDefaults, definitions = {}) {
   } else if ("default" in schema) {
     // Use schema defaults for this node.
     defaults = schema.default;
-  } else if ("$ref" in schema) {
-    // Use referenced schema defaults for this node.
-    const refSchema = findSchemaDefinition(schema.$ref, definitions);
-    return computeDefaults(refSchema, defaults, definitions);
   } else if (isFixedItems(schema)) {
     defaults = schema.items.map(itemSchema =>
       computeDefaults(itemSchema, undefined, definitions)
@@ -134,7 +171,8 @@ function computeDefaults(schema, parentDefaults, definitions = {}) {
         acc[key] = computeDefaults(
           schema.properties[key],
           (defaults || {})[key],
-          definitions
+          definitions,
+          formData[key]
         );
         return acc;
       }, {});
@@ -145,6 +183,10 @@ function computeDefaults(schema, parentDefaults, definitions = {}) {
           computeDefaults(schema.items, defaults, definitions)
         );
       }
+      break;
+    // The only valid value of null fields, which render nothing to fill in.
+    case "null":
+      return typeof defaults === "undefined" ? null : defaults;
   }
   return defaults;
 }
@@ -153,19 +195,43 @@ export function getDefaultFormState(_schema, formData, definitions = {}) {
   if (!isObject(_schema)) {
     throw new Error("Invalid schema: " + _schema);
   }
-  const schema = retrieveSchema(_schema, definitions);
-  const defaults = computeDefaults(schema, _schema.default, definitions);
+  const schema = retrieveSchema(_schema, definitions, formData);
+  const defaults = computeDefaults(
+    schema,
+    _schema.default,
+    definitions,
+    formData
+  );
   if (typeof formData === "undefined") {
     // No form data? Use schema defaults.
     return defaults;
   }
-  if (isObject(formData)) {
+  if (isObject(formData) && isObject(defaults)) {
     // Override schema defaults with form data.
     return mergeObjects(defaults, formData);
   }
   return formData || defaults;
 }
 
+export function getSchemaType(schema) {
+  // The "null" type of nullable fields is handled apart, so the field is
+  // rendered after the remaining type, or types for multi-typed fields.
+  const { type } = schema;
+  if (!Array.isArray(type)) {
+    return type;
+  }
+  const types = type.filter(type => type !== "null");
+  if (types.length === 0) {
+    return "null";
+  }
+  return types.length === 1 ? types[0] : types;
+}
+
+export function isNullable(schema) {
+  const { type } = schema;
+  return Array.isArray(type) ? type.indexOf("null") !== -1 : type === "null";
+}
+
 export function getUiOptions(uiSchema) {
   // get all passed options from ui:widget, ui:options, and ui:<optionName>
   return Object.keys(uiSchema)
@@ -277,6 +343,53 @@ export function orderProperties(properties, order) {
   return complete;
 }
 
+function getUntypedSchema(value) {
+  // Untyped values are rendered after their current type, as strings when
+  // they don't have any yet.
+  if (Array.isArray(value)) {
+    return { type: "array", items: getUntypedSchema(value[0]) };
+  }
+  if (isObject(value)) {
+    return { type: "object", additionalProperties: true };
+  }
+  if (value === null) {
+    return { type: "null" };
+  }
+  const type = typeof value;
+  return { type: type === "number" || type === "boolean" ? type : "string" };
+}
+
+export function getAdditionalPropertySchema(schema, key, value) {
+  // Pattern properties take precedence over the generic additional ones, an
+  // `additionalProperties: true` schema allowing values of any type.
+  const patternProperties = schema.patternProperties || {};
+  for (const pattern in patternProperties) {
+    if (new RegExp(pattern).test(key)) {
+      return patternProperties[pattern];
+    }
+  }
+  if (isObject(schema.additionalProperties)) {
+    return schema.additionalProperties;
+  }
+  if (schema.additionalProperties === true) {
+    return getUntypedSchema(value);
+  }
+}
+
+export function getAdditionalProperties(schema, formData) {
+  // Lists the keys of the form data not declared in the schema properties,
+  // for which a value schema is provided by the schema.
+  if (!isObject(formData)) {
+    return [];
+  }
+  const properties = schema.properties || {};
+  return Object.keys(formData).filter(
+    key =>
+      !properties.hasOwnProperty(key) &&
+      typeof getAdditionalPropertySchema(schema, key) !== "undefined"
+  );
+}
+
 export function isMultiSelect(schema) {
   return schema.items
     ? Array.isArray(schema.items.enum) && schema.uniqueItems
@@ -390,17 +503,390 @@ function findSchemaDefinition($ref, definitions = {}, processedRefs = []) {
   }
 }
 
-export function retrieveSchema(schema, definitions = {}) {
-  // No $ref attribute found, returning the original schema.
-  if (!schema.hasOwnProperty("$ref")) {
-    return schema;
+const recursiveReferences = new WeakMap();
+
+function collectReferences(schema, refs = []) {
+  if (Array.isArray(schema)) {
+    schema.forEach(item => collectReferences(item, refs));
+  } else if (isObject(schema)) {
+    Object.keys(schema).forEach(key => {
+      if (key === "$ref" && typeof schema.$ref === "string") {
+        refs.push(schema.$ref);
+      } else if (key !== "default" && key !== "enum" && key !== "const") {
+        collectReferences(schema[key], refs);
+      }
+    });
+  }
+  return refs;
+}
+
+/**
+ * Checks whether a schema references a definition which, directly or through
+ * other definitions, references itself again (eg. a tree node). Such schemas
+ * can't be expanded eagerly, so they're only expanded as deep as the form
+ * data goes.
+ */
+export function isRecursiveReference(schema, definitions = {}) {
+  const { $ref } = schema;
+  if (typeof $ref !== "string") {
+    return false;
   }
+  if (!recursiveReferences.has(definitions)) {
+    recursiveReferences.set(definitions, {});
+  }
+  const cache = recursiveReferences.get(definitions);
+  if (!cache.hasOwnProperty($ref)) {
+    const visited = [];
+    const pending = [$ref];
+    cache[$ref] = false;
+    while (pending.length > 0) {
+      const ref = pending.pop();
+      let definition;
+      try {
+        definition = findSchemaDefinition(ref, definitions);
+      } catch (err) {
+        // Invalid references are reported when the schema is actually used.
+        continue;
+      }
+      const refs = collectReferences(definition);
+      if (refs.includes($ref)) {
+        cache[$ref] = true;
+        break;
+      }
+      refs.filter(ref => !visited.includes(ref)).forEach(ref => {
+        visited.push(ref);
+        pending.push(ref);
+      });
+    }
+  }
+  return cache[$ref];
+}
+
+function resolveReference(schema, definitions, formData) {
   // Retrieve the referenced schema definition.
   const $refSchema = findSchemaDefinition(schema.$ref, definitions);
   // Drop the $ref property of the source schema.
   const { $ref, ...localSchema } = schema;
   // Update referenced schema definition with local schema properties.
-  return { ...$refSchema, ...localSchema };
+  return retrieveSchema(
+    { ...$refSchema, ...localSchema },
+    definitions,
+    formData
+  );
+}
+
+function withDependentProperties(schema, additionallyRequired) {
+  if (!additionallyRequired) {
+    return schema;
+  }
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  return {
+    ...schema,
+    required: required.concat(
+      additionallyRequired.filter(name => required.indexOf(name) === -1)
+    ),
+  };
+}
+
+function withExactlyOneSubschema(
+  schema,
+  definitions,
+  formData,
+  dependencyKey,
+  oneOf
+) {
+  const validSubschemas = oneOf.filter(subschema => {
+    if (!subschema.properties) {
+      return false;
+    }
+    const { [dependencyKey]: conditionPropertySchema } = subschema.properties;
+    if (!conditionPropertySchema) {
+      return false;
+    }
+    const conditionSchema = {
+      type: "object",
+      properties: { [dependencyKey]: conditionPropertySchema },
+    };
+    return isValid(conditionSchema, formData, definitions);
+  });
+  if (validSubschemas.length !== 1) {
+    console.warn(
+      "ignoring oneOf in dependencies because there isn't exactly one subschema that is valid"
+    );
+    return schema;
+  }
+  const subschema = validSubschemas[0];
+  // The trigger property is already part of the schema, only merge the rest.
+  const {
+    [dependencyKey]: conditionPropertySchema,
+    ...dependentSubschema
+  } = subschema.properties;
+  return mergeDependentSchema(schema, {
+    ...subschema,
+    properties: dependentSubschema,
+  });
+}
+
+function mergeDependentSchema(schema, dependentSchema) {
+  const { required, ...rest } = dependentSchema;
+  return withDependentProperties(mergeObjects(schema, rest), required);
+}
+
+function withDependentSchema(
+  schema,
+  definitions,
+  formData,
+  dependencyKey,
+  dependencyValue
+) {
+  const { oneOf, ...dependentSchema } = retrieveSchema(
+    dependencyValue,
+    definitions,
+    formData
+  );
+  schema = mergeDependentSchema(schema, dependentSchema);
+  if (!Array.isArray(oneOf)) {
+    return schema;
+  }
+  // Resolve the $refs in the oneOf subschemas before evaluating them.
+  const resolvedOneOf = oneOf.map(subschema =>
+    retrieveSchema(subschema, definitions, formData)
+  );
+  return withExactlyOneSubschema(
+    schema,
+    definitions,
+    formData,
+    dependencyKey,
+    resolvedOneOf
+  );
+}
+
+function resolveDependencies(schema, definitions, formData) {
+  // Drop the dependencies from the source schema.
+  let { dependencies = {}, ...resolvedSchema } = schema;
+  // Process dependencies updating the local schema properties as appropriate.
+  for (const dependencyKey in dependencies) {
+    // Skip this dependency if its trigger property is not present.
+    if (formData[dependencyKey] === undefined) {
+      continue;
+    }
+    const dependencyValue = dependencies[dependencyKey];
+    if (Array.isArray(dependencyValue)) {
+      // Property dependency: the listed properties become required.
+      resolvedSchema = withDependentProperties(resolvedSchema, dependencyValue);
+    } else if (isObject(dependencyValue)) {
+      // Schema dependency: the dependent schema is merged in.
+      resolvedSchema = withDependentSchema(
+        resolvedSchema,
+        definitions,
+        formData,
+        dependencyKey,
+        dependencyValue
+      );
+    }
+  }
+  return resolvedSchema;
+}
+
+const LOWER_BOUNDS = [
+  "minimum",
+  "exclusiveMinimum",
+  "minLength",
+  "minItems",
+  "minProperties",
+];
+const UPPER_BOUNDS = [
+  "maximum",
+  "exclusiveMaximum",
+  "maxLength",
+  "maxItems",
+  "maxProperties",
+];
+// The bounds which draft-04 exclusive flags apply to.
+const EXCLUSIVE_BOUNDS = {
+  exclusiveMinimum: "minimum",
+  exclusiveMaximum: "maximum",
+};
+
+/**
+ * Merges the draft-04 `exclusiveMinimum` and `exclusiveMaximum` flags, once the
+ * bounds they apply to are merged: the merged bound is exclusive if it comes
+ * from a schema where it is.
+ */
+function mergeExclusiveFlags(schema, left, right) {
+  return Object.keys(EXCLUSIVE_BOUNDS).reduce((acc, key) => {
+    if (typeof left[key] !== "boolean" && typeof right[key] !== "boolean") {
+      // No flags, or draft-06 numeric bounds which are merged as such.
+      return acc;
+    }
+    const bound = EXCLUSIVE_BOUNDS[key];
+    acc[key] = [left, right].some(
+      other => other[key] === true && other[bound] === acc[bound]
+    );
+    return acc;
+  }, schema);
+}
+
+function intersectTypes(left, right) {
+  const leftTypes = Array.isArray(left) ? left : [left];
+  const rightTypes = Array.isArray(right) ? right : [right];
+  const types = leftTypes.filter(type => rightTypes.indexOf(type) !== -1);
+  return types.length === 1 ? types[0] : types;
+}
+
+/**
+ * Deeply merges two schemas into a single one accepting only what both
+ * accept: properties are united, required and allOf lists concatenated,
+ * numeric bounds and enums intersected. Conditionals are never merged, the
+ * right one being moved to the allOf list. For the other keywords, the right
+ * schema wins.
+ */
+export function mergeSchemas(left, right) {
+  if (isObject(left.if) && isObject(right.if)) {
+    // Both conditionals are kept apart, each one being resolved on its own.
+    const { if: condition, then, else: otherwise, ...rest } = right;
+    const conditional = { if: condition };
+    if (then !== undefined) {
+      conditional.then = then;
+    }
+    if (otherwise !== undefined) {
+      conditional.else = otherwise;
+    }
+    return mergeSchemas(left, {
+      ...rest,
+      allOf: (rest.allOf || []).concat(conditional),
+    });
+  }
+  const schema = Object.keys(right).reduce(
+    (acc, key) => {
+      const leftValue = left[key], rightValue = right[key];
+      if (!left.hasOwnProperty(key)) {
+        acc[key] = rightValue;
+      } else if (key === "properties" || key === "patternProperties") {
+        acc[key] = Object.keys(rightValue).reduce(
+          (properties, name) => {
+            properties[name] = properties.hasOwnProperty(name)
+              ? mergeSchemas(properties[name], rightValue[name])
+              : rightValue[name];
+            return properties;
+          },
+          { ...leftValue }
+        );
+      } else if (key === "required") {
+        acc[key] = leftValue.concat(
+          rightValue.filter(name => leftValue.indexOf(name) === -1)
+        );
+      } else if (
+        typeof leftValue === "number" &&
+        typeof rightValue === "number" &&
+        LOWER_BOUNDS.indexOf(key) !== -1
+      ) {
+        acc[key] = Math.max(leftValue, rightValue);
+      } else if (
+        typeof leftValue === "number" &&
+        typeof rightValue === "number" &&
+        UPPER_BOUNDS.indexOf(key) !== -1
+      ) {
+        acc[key] = Math.min(leftValue, rightValue);
+      } else if (
+        key === "allOf" &&
+        Array.isArray(leftValue) &&
+        Array.isArray(rightValue)
+      ) {
+        acc[key] = leftValue.concat(rightValue);
+      } else if (key === "enum") {
+        acc[key] = leftValue.filter(value =>
+          rightValue.some(other => deepEquals(value, other))
+        );
+      } else if (key === "type") {
+        acc[key] = intersectTypes(leftValue, rightValue);
+      } else if (key === "uniqueItems") {
+        acc[key] = leftValue || rightValue;
+      } else if (
+        (key === "additionalProperties" || key === "additionalItems") &&
+        (leftValue === false || rightValue === false)
+      ) {
+        acc[key] = false;
+      } else if (isObject(leftValue) && isObject(rightValue)) {
+        // Subschemas (items, additionalProperties...) and keyword maps
+        // (definitions, dependencies...) are merged recursively.
+        acc[key] = mergeSchemas(leftValue, rightValue);
+      } else {
+        acc[key] = rightValue;
+      }
+      return acc;
+    },
+    { ...left }
+  );
+  return mergeExclusiveFlags(schema, left, right);
+}
+
+function resolveAllOf(schema, definitions, formData) {
+  const { allOf, ...localSchema } = schema;
+  // Local keywords are merged last, so they take precedence over the
+  // subschema ones.
+  const resolvedSchema = allOf
+    .map(subschema => retrieveSchema(subschema, definitions, formData))
+    .concat(localSchema)
+    .reduce(mergeSchemas, {});
+  return retrieveSchema(resolvedSchema, definitions, formData);
+}
+
+function resolveCondition(schema, definitions, formData) {
+  const { if: condition, then, else: otherwise, ...resolvedSchema } = schema;
+  const branch = isValid(condition, formData, definitions) ? then : otherwise;
+  if (!isObject(branch)) {
+    return resolvedSchema;
+  }
+  return mergeSchemas(
+    resolvedSchema,
+    retrieveSchema(branch, definitions, formData)
+  );
+}
+
+/**
+ * Tells whether `retrieveSchema` would resolve anything in a schema, using the
+ * same checks so that callers recurring on the resolved schema always end.
+ */
+function isResolvable(schema) {
+  return (
+    schema.hasOwnProperty("$ref") ||
+    Array.isArray(schema.allOf) ||
+    isObject(schema.if) ||
+    schema.hasOwnProperty("dependencies")
+  );
+}
+
+/**
+ * Resolves the effective schema of a node: `$ref`s are replaced by the
+ * definition they point to, `allOf` subschemas are merged together, and
+ * `if`/`then`/`else` and `dependencies` are evaluated against the current form
+ * data, merging the matching branch and the dependent properties and
+ * requirements for every trigger property which is present.
+ */
+export function retrieveSchema(schema, definitions = {}, formData = {}) {
+  if (schema.hasOwnProperty("$ref")) {
+    return resolveReference(schema, definitions, formData);
+  }
+  if (Array.isArray(schema.allOf)) {
+    return resolveAllOf(schema, definitions, formData);
+  }
+  if (isObject(schema.if)) {
+    return retrieveSchema(
+      resolveCondition(schema, definitions, formData),
+      definitions,
+      formData
+    );
+  }
+  if (schema.hasOwnProperty("dependencies")) {
+    return resolveDependencies(
+      schema,
+      definitions,
+      isObject(formData) ? formData : {}
+    );
+  }
+  // Nothing to resolve, returning the original schema.
+  return schema;
 }
 
 function isArguments(object) {
@@ -489,16 +975,23 @@ export function shouldRender(comp, nextProps, nextState) {
   return !deepEquals(props, nextProps) || !deepEquals(state, nextState);
 }
 
-export function toIdSchema(schema, id, definitions) {
+export function toIdSchema(schema, id, definitions, formData) {
   const idSchema = {
     $id: id || "root",
   };
-  if ("$ref" in schema) {
-    const _schema = retrieveSchema(schema, definitions);
-    return toIdSchema(_schema, id, definitions);
+  if (
+    typeof formData === "undefined" &&
+    isRecursiveReference(schema, definitions)
+  ) {
+    // Recursive schemas only get ids as deep as the form data goes.
+    return idSchema;
+  }
+  if (isResolvable(schema)) {
+    const _schema = retrieveSchema(schema, definitions, formData);
+    return toIdSchema(_schema, id, definitions, formData);
   }
   if ("items" in schema && !schema.items.$ref) {
-    return toIdSchema(schema.items, id, definitions);
+    return toIdSchema(schema.items, id, definitions, formData);
   }
   if (schema.type !== "object") {
     return idSchema;
@@ -506,11 +999,92 @@ export function toIdSchema(schema, id, definitions) {
   for (const name in schema.properties || {}) {
     const field = schema.properties[name];
     const fieldId = idSchema.$id + "_" + name;
-    idSchema[name] = toIdSchema(field, fieldId, definitions);
+    idSchema[name] = toIdSchema(
+      field,
+      fieldId,
+      definitions,
+      (formData || {})[name]
+    );
+  }
+  for (const name of getAdditionalProperties(schema, formData)) {
+    const field = getAdditionalPropertySchema(schema, name, formData[name]);
+    const fieldId = idSchema.$id + "_" + name;
+    idSchema[name] = toIdSchema(field, fieldId, definitions, formData[name]);
   }
   return idSchema;
 }
 
+/**
+ * Returns a data path as a jsonschema property string, eg.
+ * `instance.foo[0]["b.c"]`.
+ */
+export function toProperty(path) {
+  return path.reduce((property, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${property}[${segment}]`;
+    }
+    if (/^[a-z_$][a-z0-9_$]*$/i.test(segment)) {
+      return `${property}.${segment}`;
+    }
+    return `${property}[${JSON.stringify(segment)}]`;
+  }, "instance");
+}
+
+/**
+ * Returns a data path as a JSON pointer, eg. `/foo/0/bar`.
+ */
+export function toDataPath(path) {
+  return path
+    .map(
+      segment => "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1")
+    )
+    .join("");
+}
+
+/**
+ * Returns a data path as an array of property names and item indexes. It may
+ * be given as such already, or as a JSON pointer, eg. `/foo/0/bar`.
+ */
+export function toFieldPath(path) {
+  if (Array.isArray(path)) {
+    return path;
+  }
+  return path
+    .split("/")
+    .slice(1)
+    .map(token => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Returns the data path of the field a validation error relates to. The errors
+ * of required properties are reported on their parent object, so the path of
+ * the missing field is returned instead.
+ */
+export function getErrorFieldPath(error) {
+  const { name, path = [], params = {} } = error;
+  return name === "required" && typeof params.missingProperty !== "undefined"
+    ? path.concat(params.missingProperty)
+    : path;
+}
+
+/**
+ * Returns the id of the field a validation error relates to, from the form
+ * `idSchema`.
+ */
+export function getErrorFieldId(error, idSchema) {
+  let node = idSchema;
+  let id = idSchema.$id;
+  for (const segment of getErrorFieldPath(error)) {
+    // Array items don't have their own idSchema, their ids are derived from
+    // the array one the same way the fields do.
+    node = isObject(node) && segment !== "$id" && node.hasOwnProperty(segment)
+      ? node[segment]
+      : undefined;
+    id = node ? node.$id : `${id}_${segment}`;
+  }
+  return id;
+}
+
 export function parseDateString(dateString, includeTime = true) {
   if (!dateString) {
     return {
@@ -553,6 +1127,10 @@ export function pad(num, size) {
   return s;
 }
 
+export function isThenable(value) {
+  return value != null && typeof value.then === "function";
+}
+
 export function setState(instance, state, callback) {
   const { safeRenderCompletion } = instance.props;
   if (safeRenderCompletion) {
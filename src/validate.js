@@ -1,14 +1,138 @@
 import toPath from "lodash.topath";
 import { validate as jsonValidate } from "jsonschema";
 
-import { isObject, mergeObjects } from "./utils";
+import {
+  getAdditionalPropertySchema,
+  getErrorFieldPath,
+  isObject,
+  isThenable,
+  mergeObjects,
+  retrieveSchema,
+  toDataPath,
+  toFieldPath,
+  toProperty,
+} from "./utils";
+import { interpolate } from "./i18n";
+import jsonschemaValidator from "./validators/jsonschema";
 
-function toErrorSchema(errors) {
-  // Transforms a jsonschema validation errors list:
+function getErrorPath(error) {
+  // Errors created by `transformErrors` may only provide a property string.
+  if (Array.isArray(error.path)) {
+    return error.path;
+  }
+  return toPath(error.property).slice(1);
+}
+
+function normalizeError(error) {
+  // Completes the errors reported by the validator, or created by the
+  // `transformErrors` and `validate` functions, so they all expose the same
+  // properties.
+  const path = getErrorPath(error);
+  const property = error.property || toProperty(path);
+  return {
+    ...error,
+    path,
+    property,
+    dataPath: toDataPath(path),
+    params: error.params || {},
+    stack: error.stack || `${property} ${error.message}`,
+  };
+}
+
+function getFieldName(path) {
+  return path.length ? String(path[path.length - 1]) : "root";
+}
+
+function getFieldSchemas(schema, uiSchema, formData, path) {
+  // Walks down the schema and the uiSchema along a data path, the same way the
+  // fields are rendered.
+  const { definitions } = schema;
+  let fieldSchema = schema;
+  let fieldUiSchema = uiSchema;
+  let data = formData;
+  for (const segment of path) {
+    if (!isObject(fieldSchema)) {
+      return {};
+    }
+    fieldSchema = retrieveSchema(fieldSchema, definitions, data);
+    fieldUiSchema = fieldUiSchema || {};
+    const { properties = {}, items } = fieldSchema;
+    if (Array.isArray(items)) {
+      const additional = segment >= items.length;
+      fieldSchema = additional ? fieldSchema.additionalItems : items[segment];
+      fieldUiSchema = additional
+        ? fieldUiSchema.additionalItems
+        : Array.isArray(fieldUiSchema.items)
+            ? fieldUiSchema.items[segment]
+            : fieldUiSchema.items;
+    } else if (isObject(items)) {
+      fieldSchema = items;
+      fieldUiSchema = fieldUiSchema.items;
+    } else if (properties.hasOwnProperty(segment)) {
+      fieldSchema = properties[segment];
+      fieldUiSchema = fieldUiSchema[segment];
+    } else {
+      fieldSchema = getAdditionalPropertySchema(
+        fieldSchema,
+        segment,
+        isObject(data) ? data[segment] : undefined
+      );
+      fieldUiSchema = fieldUiSchema.additionalProperties;
+    }
+    data = isObject(data) || Array.isArray(data) ? data[segment] : undefined;
+  }
+  return { schema: fieldSchema, uiSchema: fieldUiSchema };
+}
+
+function getDeclaredMessage(messages, keyword) {
+  // Messages are either declared per keyword, or for all of them at once.
+  if (typeof messages === "string") {
+    return messages;
+  }
+  if (isObject(messages) && typeof messages[keyword] === "string") {
+    return messages[keyword];
+  }
+}
+
+function applyErrorMessages(errors, schema, uiSchema, formData) {
+  // Replaces the messages of the errors for which the failing field declares
+  // its own, with the `ui:errorMessages` uiSchema directive or the
+  // `errorMessage` schema keyword. The errors of required properties may be
+  // customized on the missing field as well as on its parent object.
+  return errors.map(error => {
+    const { name, path, params } = error;
+    const fieldPath = getErrorFieldPath(error);
+    const paths = fieldPath === path ? [path] : [fieldPath, path];
+    let message;
+    for (const lookupPath of paths) {
+      const field = getFieldSchemas(schema, uiSchema, formData, lookupPath);
+      message =
+        getDeclaredMessage((field.uiSchema || {})["ui:errorMessages"], name) ||
+        getDeclaredMessage((field.schema || {}).errorMessage, name);
+      if (message) {
+        break;
+      }
+    }
+    if (!message) {
+      return error;
+    }
+    // Like the errors added by the `validate` function, their stack only
+    // mentions the field name.
+    message = interpolate(message, params);
+    return {
+      ...error,
+      message,
+      stack: `${getFieldName(fieldPath)}: ${message}`,
+    };
+  });
+}
+
+export function toErrorSchema(errors) {
+  // Transforms a normalized validation errors list:
   // [
-  //   {property: "instance.level1.level2[2].level3", message: "err a"},
-  //   {property: "instance.level1.level2[2].level3", message: "err b"},
-  //   {property: "instance.level1.level2[4].level3", message: "err b"},
+  //   {path: ["level1", "level2", 2, "level3"], message: "err a"},
+  //   {path: ["level1", "level2", 2, "level3"], message: "err b"},
+  //   {path: ["level1", "level2", 4, "level3"], message: "err b"},
   // ]
   // Into an error tree:
   // {
@@ -23,10 +147,9 @@ function toErrorSchema(errors) {
     return {};
   }
   return errors.reduce((errorSchema, error) => {
-    const { property, message } = error;
-    const path = toPath(property);
+    const { message } = error;
     let parent = errorSchema;
-    for (const segment of path.slice(1)) {
+    for (const segment of getErrorPath(error)) {
       if (!(segment in parent)) {
         parent[segment] = {};
       }
@@ -44,26 +167,49 @@ function toErrorSchema(errors) {
   }, {});
 }
 
-export function toErrorList(errorSchema, fieldName = "root") {
-  // XXX: We should transform fieldName as a full field path string.
+export function toErrorList(errorSchema, fieldName = "root", path = []) {
+  // The errors added by the `validate` function aren't tied to any schema
+  // keyword, they're reported as "custom" ones. Their stack only mentions the
+  // field name, the full path being available with the other properties.
   let errorList = [];
   if ("__errors" in errorSchema) {
     errorList = errorList.concat(
-      errorSchema.__errors.map(stack => {
-        return {
-          stack: `${fieldName}: ${stack}`,
-        };
+      errorSchema.__errors.map(message => {
+        return normalizeError({
+          name: "custom",
+          path,
+          message,
+          stack: `${fieldName}: ${message}`,
+        });
       })
     );
   }
   return Object.keys(errorSchema).reduce((acc, key) => {
     if (key !== "__errors") {
-      acc = acc.concat(toErrorList(errorSchema[key], key));
+      acc = acc.concat(toErrorList(errorSchema[key], key, path.concat(key)));
     }
     return acc;
   }, errorList);
 }
 
+/**
+ * Converts errors provided from outside of the form, eg. by a server, into an
+ * errorSchema. They're either given as an errorSchema already, or as a list of
+ * `{path, message}` objects, which paths are arrays of property names and item
+ * indexes, or JSON pointers.
+ */
+export function toExtraErrorSchema(extraErrors) {
+  if (!Array.isArray(extraErrors)) {
+    return extraErrors || {};
+  }
+  return toErrorSchema(
+    extraErrors.map(({ path = [], message }) => ({
+      path: toFieldPath(path),
+      message,
+    }))
+  );
+}
+
 function createErrorHandler(formData) {
   const handler = {
     // We store the list of errors for this node in a property named __errors
@@ -102,16 +248,32 @@ function unwrapErrorHandler(errorHandler) {
  * This function processes the formData with a user `validate` contributed
  * function, which receives the form data and an `errorHandler` object that
  * will be used to add custom validation errors for each field.
+ *
+ * The `validate` function may also return a promise, for validations which
+ * have to be performed asynchronously (eg. against a server), in which case
+ * a promise of the validation result is returned.
+ *
+ * The JSON schema validation itself is delegated to the `validator` function,
+ * which receives the form data and the schema and returns a list of errors
+ * having a `name`, `path`, `schemaPath`, `params` and `message`. Their messages
+ * may be customized per field and keyword, in the `uiSchema` or the schema.
  */
 export default function validateFormData(
   formData,
   schema,
   customValidate,
-  transformErrors
+  transformErrors,
+  validator = jsonschemaValidator,
+  uiSchema = {}
 ) {
-  let { errors } = jsonValidate(formData, schema);
+  let errors = applyErrorMessages(
+    validator(formData, schema).map(normalizeError),
+    schema,
+    uiSchema,
+    formData
+  );
   if (typeof transformErrors === "function") {
-    errors = transformErrors(errors);
+    errors = transformErrors(errors).map(normalizeError);
   }
   const errorSchema = toErrorSchema(errors);
 
@@ -119,13 +281,33 @@ export default function validateFormData(
     return { errors, errorSchema };
   }
 
-  const errorHandler = customValidate(formData, createErrorHandler(formData));
-  const userErrorSchema = unwrapErrorHandler(errorHandler);
-  const newErrorSchema = mergeObjects(errorSchema, userErrorSchema, true);
-  // XXX: The errors list produced is not fully compliant with the format
-  // exposed by the jsonschema lib, which contains full field paths and other
-  // properties.
-  const newErrors = toErrorList(newErrorSchema);
+  const errorHandler = createErrorHandler(formData);
+  const mergeUserErrors = (userErrorHandler = errorHandler) => {
+    const userErrorSchema = unwrapErrorHandler(userErrorHandler);
+    const newErrorSchema = mergeObjects(errorSchema, userErrorSchema, true);
+    // As for the errors added by the `validate` function, the stack of the
+    // schema errors only mentions the field name then.
+    const newErrors = errors
+      .map(error => ({
+        ...error,
+        stack: `${getFieldName(error.path)}: ${error.message}`,
+      }))
+      .concat(toErrorList(userErrorSchema));
 
-  return { errors: newErrors, errorSchema: newErrorSchema };
+    return { errors: newErrors, errorSchema: newErrorSchema };
+  };
+
+  const result = customValidate(formData, errorHandler);
+  if (isThenable(result)) {
+    return result.then(mergeUserErrors);
+  }
+  return mergeUserErrors(result);
+}
+
+/**
+ * Checks whether some data is valid against a given schema. The schema
+ * definitions are needed to resolve any local `$ref` the schema may contain.
+ */
+export function isValid(schema, data, definitions = {}) {
+  return jsonValidate(data, { ...schema, definitions }).valid;
 }
@@ -0,0 +1,61 @@
+import Ajv from "ajv";
+import toPath from "lodash.topath";
+
+// Formats used by the default widgets which Ajv doesn't know about.
+const FORMATS = {
+  "data-url": /^data:([a-z]+\/[a-z0-9-+.]+)?;(?:name=(.*);)?base64,(.*)$/,
+  color: /^#[0-9a-f]{6}$/i,
+};
+
+function parseDataPath(dataPath) {
+  // Ajv reports the data path as a JSON pointer with the `jsonPointers`
+  // option, and in JavaScript property access notation otherwise.
+  if (dataPath.indexOf("/") === 0) {
+    return dataPath
+      .split("/")
+      .slice(1)
+      .map(segment => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+  }
+  return toPath(dataPath).filter(segment => segment !== "");
+}
+
+/**
+ * Creates a validator backed by Ajv. A preconfigured Ajv instance may be
+ * passed, eg. with custom keywords or plugins like `ajv-errors`; it must have
+ * the `allErrors` option enabled for all the errors to be reported.
+ */
+export default function createAjvValidator(ajv) {
+  if (!ajv) {
+    ajv = new Ajv({
+      allErrors: true,
+      jsonPointers: true,
+      schemaId: "auto",
+      unknownFormats: "ignore",
+    });
+    Object.keys(FORMATS).forEach(name => ajv.addFormat(name, FORMATS[name]));
+  }
+  // Schemas are compiled once, Ajv evaluating their conditionals itself.
+  const compiled = new WeakMap();
+  return function ajvValidator(formData, schema) {
+    if (!compiled.has(schema)) {
+      compiled.set(schema, ajv.compile(schema));
+    }
+    const validate = compiled.get(schema);
+    if (validate(formData)) {
+      return [];
+    }
+    return validate.errors
+      .filter(error => {
+        // The errors of the failing then/else branch are reported on their
+        // own already.
+        return error.keyword !== "if";
+      })
+      .map(error => ({
+        name: error.keyword,
+        path: parseDataPath(error.dataPath),
+        schemaPath: error.schemaPath,
+        params: error.params,
+        message: error.message,
+      }));
+  };
+}
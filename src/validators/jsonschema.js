@@ -0,0 +1,144 @@
+import { validate as jsonValidate } from "jsonschema";
+
+import { isObject, toProperty } from "../utils";
+
+// Names of the params of the common keywords, the same as the Ajv ones.
+const PARAM_NAMES = {
+  additionalProperties: "additionalProperty",
+  const: "allowedValue",
+  enum: "allowedValues",
+  exclusiveMaximum: "limit",
+  exclusiveMinimum: "limit",
+  format: "format",
+  maxItems: "limit",
+  maxLength: "limit",
+  maxProperties: "limit",
+  maximum: "limit",
+  minItems: "limit",
+  minLength: "limit",
+  minProperties: "limit",
+  minimum: "limit",
+  multipleOf: "multipleOf",
+  pattern: "pattern",
+  required: "missingProperty",
+  type: "type",
+};
+
+// Keywords holding data, which are never subschemas.
+const DATA_KEYWORDS = ["default", "enum", "const", "examples"];
+// The JSON pointers of the subschemas of the validated schemas.
+const schemaPointers = new WeakMap();
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+// Keywords mapping names to subschemas.
+const SCHEMA_MAP_KEYWORDS = [
+  "properties",
+  "patternProperties",
+  "dependencies",
+  "definitions",
+];
+// Keywords which subschemas apply to the items of an array or an object.
+const ITEM_KEYWORDS = ["additionalProperties", "items", "additionalItems"];
+
+function getMapTrail(key, name, trail) {
+  if (key === "definitions") {
+    // Definitions are reached through references, from anywhere in the data.
+    return [];
+  }
+  // A dependency applies to the object itself, but jsonschema appends the name
+  // of the triggering property to the data path of its errors.
+  return trail.concat(key === "dependencies" ? { dependency: name } : "data");
+}
+
+function collectPointers(schema, pointer, trail, pointers) {
+  // Maps every subschema, and the id of the ones declaring one, to its JSON
+  // pointer in the root schema and its trail, which tells how the data path of
+  // its errors relates to the one of its ancestors.
+  if (!isObject(schema) || pointers.has(schema)) {
+    return pointers;
+  }
+  const location = { pointer, trail };
+  pointers.set(schema, location);
+  const id = schema.$id || schema.id;
+  if (typeof id === "string" && !pointers.has(id)) {
+    pointers.set(id, location);
+  }
+  Object.keys(schema)
+    .filter(key => DATA_KEYWORDS.indexOf(key) === -1)
+    .forEach(key => {
+      const value = schema[key];
+      const keyPointer = `${pointer}/${escapePointerToken(key)}`;
+      if (SCHEMA_MAP_KEYWORDS.indexOf(key) !== -1 && isObject(value)) {
+        Object.keys(value).forEach(name =>
+          collectPointers(
+            value[name],
+            `${keyPointer}/${escapePointerToken(name)}`,
+            getMapTrail(key, name, trail),
+            pointers
+          )
+        );
+        return;
+      }
+      const childTrail = ITEM_KEYWORDS.indexOf(key) !== -1
+        ? trail.concat("data")
+        : trail;
+      if (Array.isArray(value)) {
+        value.forEach((item, index) =>
+          collectPointers(item, `${keyPointer}/${index}`, childTrail, pointers)
+        );
+      } else {
+        collectPointers(value, keyPointer, childTrail, pointers);
+      }
+    });
+  return pointers;
+}
+
+function getLocation(rootSchema, error) {
+  // jsonschema reports the subschema having the failing keyword, or its id
+  // when it declares one, which is looked up in the validated schema.
+  if (!schemaPointers.has(rootSchema)) {
+    schemaPointers.set(
+      rootSchema,
+      collectPointers(rootSchema, "#", [], new Map())
+    );
+  }
+  return schemaPointers.get(rootSchema).get(error.schema);
+}
+
+function getDataPath(trail, path) {
+  // Drops the names of the triggering properties jsonschema appends to the
+  // path of the errors of dependencies, the trail matching the end of the path.
+  const offset = path.length - trail.length;
+  return path.filter((segment, index) => {
+    const step = trail[index - offset];
+    return !isObject(step) || segment !== step.dependency;
+  });
+}
+
+/**
+ * The default validator, backed by the jsonschema library.
+ */
+export default function jsonschemaValidator(formData, schema) {
+  return jsonValidate(formData, schema).errors.map(error => {
+    const { name, argument } = error;
+    const location = getLocation(schema, error);
+    const path = location
+      ? getDataPath(location.trail, error.path)
+      : error.path;
+    const property = toProperty(path);
+    return {
+      ...error,
+      // The property and the stack follow the corrected path.
+      path,
+      property,
+      stack: `${property} ${error.message}`,
+      schemaPath: location && `${location.pointer}/${name}`,
+      params: PARAM_NAMES.hasOwnProperty(name)
+        ? { [PARAM_NAMES[name]]: argument }
+        : { argument },
+    };
+  });
+}
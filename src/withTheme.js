@@ -0,0 +1,14 @@
+import Form from "./components/Form";
+
+/**
+ * Returns a Form component rendered with a theme, which bundles the fields,
+ * widgets, templates and class names to use instead of the built-in ones (see
+ * `themes/bootstrap.js`). The props given to the themed form still take
+ * precedence over the theme.
+ */
+export default function withTheme(theme) {
+  // Extending the form keeps its instance methods available through refs.
+  return class ThemedForm extends Form {
+    static defaultProps = { ...Form.defaultProps, theme };
+  };
+}
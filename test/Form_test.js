@@ -2,10 +2,16 @@ import { expect } from "chai";
 import sinon from "sinon";
 import React from "react";
 import { renderIntoDocument, Simulate } from "react-addons-test-utils";
-import { findDOMNode } from "react-dom";
+import { findDOMNode, render, unmountComponentAtNode } from "react-dom";
 
 import Form from "../src";
-import { createFormComponent, createSandbox } from "./test_utils";
+import { getSchemaVersion, saveDraft } from "../src/drafts";
+import {
+  createFormComponent,
+  createSandbox,
+  createStorage,
+  setProps,
+} from "./test_utils";
 
 describe("Form", () => {
   let sandbox;
@@ -430,6 +436,112 @@ describe("Form", () => {
 
       expect(node.querySelectorAll("option")).to.have.length.of(3);
     });
+
+    it("should handle references to arbitrary JSON pointers", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          billing: {
+            type: "object",
+            properties: {
+              city: { type: "string" },
+            },
+          },
+          shipping: { $ref: "#/properties/billing" },
+        },
+      };
+
+      const { node } = createFormComponent({ schema });
+
+      expect(node.querySelector("input#root_shipping_city")).not.eql(null);
+    });
+  });
+
+  describe("Schema loader", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        address: { $ref: "common.json#/definitions/address" },
+      },
+    };
+    const documents = {
+      "common.json": {
+        definitions: {
+          address: {
+            type: "object",
+            properties: {
+              city: { type: "string" },
+              zip: { $ref: "#/definitions/zip" },
+            },
+          },
+          zip: { type: "string", pattern: "^[0-9]{5}$" },
+        },
+      },
+    };
+
+    const waitForLoad = () => new Promise(setImmediate);
+
+    it("should render a loading state until the schema is loaded", () => {
+      const schemaLoader = sinon.spy(uri => Promise.resolve(documents[uri]));
+      const { node } = createFormComponent({ schema, schemaLoader });
+
+      expect(node.querySelector(".form-loading")).not.eql(null);
+      expect(node.querySelector("input")).eql(null);
+      sinon.assert.calledWithExactly(schemaLoader, "common.json");
+
+      return waitForLoad().then(() => {
+        expect(node.querySelector(".form-loading")).eql(null);
+        expect(node.querySelector("input#root_address_city")).not.eql(null);
+        expect(node.querySelector("input#root_address_zip")).not.eql(null);
+      });
+    });
+
+    it("should resolve relative references against the schema $id", () => {
+      const schemaLoader = sinon.spy(() => ({ type: "string" }));
+      createFormComponent({
+        schema: {
+          $id: "https://schemas.example/forms/user.json",
+          $ref: "../types/name.json",
+        },
+        schemaLoader,
+      });
+
+      sinon.assert.calledWithExactly(
+        schemaLoader,
+        "https://schemas.example/types/name.json"
+      );
+    });
+
+    it("should validate the data against the loaded schemas", () => {
+      const onError = sandbox.spy();
+      const { node } = createFormComponent({
+        schema,
+        schemaLoader: uri => Promise.resolve(documents[uri]),
+        formData: { address: { zip: "abc" } },
+        onError,
+      });
+
+      return waitForLoad().then(() => {
+        Simulate.submit(node);
+
+        sinon.assert.calledWithMatch(onError, [
+          sinon.match({ property: "instance.address.zip" }),
+        ]);
+      });
+    });
+
+    it("should render an error when a schema fails to load", () => {
+      const { node } = createFormComponent({
+        schema,
+        schemaLoader: () => Promise.reject(new Error("Not found")),
+      });
+
+      return waitForLoad().then(() => {
+        expect(node.querySelector(".form-loading-error").textContent).eql(
+          "Unable to load the schema: Not found"
+        );
+      });
+    });
   });
 
   describe("Default value handling on clear", () => {
@@ -690,6 +802,807 @@ describe("Form", () => {
     });
   });
 
+  describe("Extra errors", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        email: { type: "string" },
+        tags: { type: "array", items: { type: "string", minLength: 2 } },
+      },
+    };
+    const formData = { email: "a@b.c", tags: ["ab", "cd"] };
+
+    const getInlineErrors = node =>
+      [].map.call(node.querySelectorAll(".error-detail li"), li => {
+        return li.textContent;
+      });
+
+    it("should display the extra errors given as an errorSchema", () => {
+      const { node } = createFormComponent({
+        schema,
+        formData,
+        extraErrors: { email: { __errors: ["is already registered"] } },
+      });
+
+      expect(getInlineErrors(node)).eql(["is already registered"]);
+      expect(node.querySelector(".errors li").textContent).eql(
+        "email: is already registered"
+      );
+    });
+
+    it("should display the extra errors given as a list", () => {
+      const { node } = createFormComponent({
+        schema,
+        formData,
+        extraErrors: [
+          { path: ["email"], message: "is already registered" },
+          { path: "/tags/1", message: "is reserved" },
+        ],
+      });
+
+      expect(getInlineErrors(node)).eql([
+        "is already registered",
+        "is reserved",
+      ]);
+      expect(
+        node
+          .querySelector("#root_tags_1")
+          .parentNode.querySelector(".error-detail li").textContent
+      ).eql("is reserved");
+    });
+
+    it("should merge the extra errors with the client-side ones", () => {
+      const { comp } = createFormComponent({
+        schema,
+        formData: { ...formData, tags: ["a"] },
+        liveValidate: true,
+        extraErrors: [{ path: ["tags", 0], message: "is reserved" }],
+      });
+
+      expect(comp.state.errorSchema.tags[0].__errors).eql([
+        "does not meet minimum length of 2",
+        "is reserved",
+      ]);
+      expect(comp.state.errors.map(error => error.name)).eql([
+        "minLength",
+        "extra",
+      ]);
+    });
+
+    it("should clear the extra errors of an edited field", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        extraErrors: [
+          { path: ["email"], message: "is already registered" },
+          { path: ["tags", 1], message: "is reserved" },
+        ],
+      });
+
+      Simulate.change(node.querySelector("#root_email"), {
+        target: { value: "b@c.d" },
+      });
+
+      expect(getInlineErrors(node)).eql(["is reserved"]);
+      expect(comp.state.errors.map(error => error.message)).eql([
+        "is reserved",
+      ]);
+    });
+
+    it("should keep the client-side errors of an edited field", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { ...formData, tags: ["a", "cd"] },
+        extraErrors: [{ path: ["tags", 0], message: "is reserved" }],
+        onError: () => {},
+      });
+      Simulate.submit(node);
+
+      Simulate.change(node.querySelector("#root_tags_0"), {
+        target: { value: "b" },
+      });
+
+      expect(comp.state.errorSchema.tags[0].__errors).eql([
+        "does not meet minimum length of 2",
+      ]);
+    });
+
+    it("should keep the cleared errors when rendered again", () => {
+      const extraErrors = [
+        { path: ["email"], message: "is already registered" },
+      ];
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        extraErrors,
+      });
+      Simulate.change(node.querySelector("#root_email"), {
+        target: { value: "b@c.d" },
+      });
+
+      setProps(comp, {
+        schema,
+        formData: comp.state.formData,
+        extraErrors: [...extraErrors],
+        safeRenderCompletion: true,
+      });
+
+      expect(getInlineErrors(node)).eql([]);
+    });
+
+    it("should replace the extra errors when they change", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        extraErrors: [{ path: ["email"], message: "is already registered" }],
+      });
+
+      setProps(comp, {
+        schema,
+        formData,
+        extraErrors: [{ path: ["tags", 0], message: "is reserved" }],
+        safeRenderCompletion: true,
+      });
+
+      expect(getInlineErrors(node)).eql(["is reserved"]);
+    });
+
+    it("should not prevent the form from being submitted", () => {
+      const onSubmit = sandbox.spy();
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        extraErrors: [{ path: ["email"], message: "is already registered" }],
+        onSubmit,
+      });
+
+      Simulate.submit(node);
+
+      sinon.assert.calledOnce(onSubmit);
+      expect(comp.state.errors.map(error => error.message)).eql([
+        "is already registered",
+      ]);
+    });
+  });
+
+  describe("Imperative API", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 3 },
+        tags: { type: "array", items: { type: "string" } },
+        active: { type: "boolean", default: true },
+      },
+    };
+    const formData = { name: "abc", tags: ["a"] };
+
+    it("should submit the form", () => {
+      const onSubmit = sandbox.spy();
+      const { comp } = createFormComponent({ schema, formData, onSubmit });
+
+      comp.submit();
+
+      sinon.assert.calledWithMatch(onSubmit, {
+        formData: { ...formData, active: true },
+      });
+    });
+
+    it("should keep working when the methods are detached", () => {
+      const onSubmit = sandbox.spy();
+      const { comp } = createFormComponent({ schema, formData, onSubmit });
+      const { setFieldValue, submit, validate } = comp;
+
+      setFieldValue("/name", "abcd");
+      submit();
+
+      expect(validate().errors).eql([]);
+      sinon.assert.calledWithMatch(onSubmit, {
+        formData: { name: "abcd" },
+      });
+    });
+
+    it("should keep the validate(formData, schema) method", () => {
+      const { comp } = createFormComponent({ schema, formData });
+
+      const { errors } = comp.validate({ name: 1 }, { type: "object" });
+
+      expect(errors).eql([]);
+      expect(comp.validate({ name: 1 }).errors).to.have.length.of(1);
+    });
+
+    it("should display the errors of a failed submission", () => {
+      const onError = sandbox.spy();
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { name: "a" },
+        onError,
+      });
+
+      comp.submit();
+
+      sinon.assert.calledOnce(onError);
+      expect(node.querySelectorAll(".errors li")).to.have.length.of(1);
+    });
+
+    it("should validate the data without displaying the errors", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { name: "a" },
+      });
+
+      const { errors, errorSchema } = comp.validate();
+
+      expect(errors).to.have.length.of(1);
+      expect(errorSchema.name.__errors).to.have.length.of(1);
+      expect(comp.state.errors).eql([]);
+      expect(node.querySelector(".errors")).to.be.null;
+    });
+
+    it("should change the value of a field", () => {
+      const onChange = sandbox.spy();
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        onChange,
+      });
+
+      comp.setFieldValue(["tags", 1], "b");
+      comp.setFieldValue("/name", "abcd");
+
+      expect(comp.state.formData).eql({
+        name: "abcd",
+        tags: ["a", "b"],
+        active: true,
+      });
+      expect(formData.tags).eql(["a"]);
+      expect(node.querySelector("#root_tags_1").value).eql("b");
+      sinon.assert.calledTwice(onChange);
+    });
+
+    it("should reset the form to its initial data", () => {
+      const onChange = sandbox.spy();
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        onChange,
+        liveValidate: true,
+      });
+
+      Simulate.change(node.querySelector("#root_name"), {
+        target: { value: "a" },
+      });
+      comp.reset();
+
+      expect(comp.state.formData).eql({ ...formData, active: true });
+      expect(comp.state.errors).eql([]);
+      expect(node.querySelector("#root_name").value).eql("abc");
+      sinon.assert.calledWithMatch(onChange.lastCall, {
+        formData: { ...formData, active: true },
+      });
+    });
+
+    it("should reset the form to the data given by its parent", () => {
+      const { comp } = createFormComponent({ schema, formData });
+
+      setProps(comp, { schema, formData: { name: "def" } });
+      comp.setFieldValue("/name", "ghi");
+      setProps(comp, { schema, formData: comp.state.formData });
+      comp.reset();
+
+      expect(comp.state.formData.name).eql("def");
+    });
+
+    it("should focus a field", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+
+      comp.focus("/tags/0");
+
+      expect(document.activeElement).to.equal(
+        node.querySelector("#root_tags_0")
+      );
+    });
+
+    it("should not focus a field named after the focused one", () => {
+      const { comp, node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: {
+            name_first: { type: "string" },
+            name: { type: "string" },
+          },
+        },
+      });
+
+      comp.focus("/name");
+
+      expect(document.activeElement).to.equal(node.querySelector("#root_name"));
+    });
+
+    it("should focus the inputs of a multi-input widget", () => {
+      const { comp, node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: {
+            name_first: { type: "string" },
+            name: { type: "boolean" },
+          },
+        },
+        uiSchema: { name: { "ui:widget": "radio" } },
+      });
+
+      comp.focus("/name");
+
+      expect(document.activeElement).to.equal(
+        node.querySelector("#root_name_0")
+      );
+    });
+  });
+
+  describe("Dirty tracking", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        address: {
+          type: "object",
+          properties: {
+            city: { type: "string" },
+            zip: { type: "string" },
+          },
+        },
+        tags: { type: "array", items: { type: "string" } },
+      },
+    };
+    const formData = { name: "a", address: { city: "b" }, tags: ["c"] };
+
+    it("should be pristine initially", () => {
+      const { comp } = createFormComponent({ schema, formData });
+
+      expect(comp.state.dirty).eql(false);
+      expect(comp.state.dirtyFields).eql([]);
+    });
+
+    it("should list the changed fields in the onChange payload", () => {
+      const onChange = sandbox.spy();
+      const { node } = createFormComponent({ schema, formData, onChange });
+
+      Simulate.change(node.querySelector("#root_address_zip"), {
+        target: { value: "d" },
+      });
+      Simulate.click(node.querySelector(".array-item-add button"));
+
+      const { dirty, dirtyFields } = onChange.lastCall.args[0];
+      expect(dirty).eql(true);
+      expect(dirtyFields).eql(["/address/zip", "/tags/1"]);
+    });
+
+    it("should be pristine again once the initial data is restored", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+      const input = node.querySelector("#root_name");
+
+      Simulate.change(input, { target: { value: "b" } });
+      Simulate.change(input, { target: { value: "a" } });
+
+      expect(comp.state.dirty).eql(false);
+    });
+
+    it("should pass the dirty prop to the field template", () => {
+      const FieldTemplate = ({ id, dirty, children }) => (
+        <div id={`${id}-template`} className={dirty ? "dirty" : ""}>
+          {children}
+        </div>
+      );
+      const { node } = createFormComponent({
+        schema,
+        formData,
+        FieldTemplate,
+      });
+
+      Simulate.change(node.querySelector("#root_address_city"), {
+        target: { value: "d" },
+      });
+
+      expect([].map.call(node.querySelectorAll(".dirty"), div => div.id)).eql([
+        "root-template",
+        "root_address-template",
+        "root_address_city-template",
+      ]);
+    });
+
+    it("should only submit the changed fields", () => {
+      const onSubmit = sandbox.spy();
+      const { node } = createFormComponent({
+        schema,
+        formData,
+        onSubmit,
+        submitChangesOnly: true,
+      });
+
+      Simulate.change(node.querySelector("#root_address_zip"), {
+        target: { value: "d" },
+      });
+      Simulate.submit(node);
+
+      sinon.assert.calledWithMatch(onSubmit, {
+        formData: { address: { zip: "d" } },
+      });
+      expect(onSubmit.lastCall.args[0].formData).to.have.all.keys("address");
+    });
+
+    it("should compare the data to the submitted one", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+      const input = node.querySelector("#root_name");
+
+      Simulate.change(input, { target: { value: "b" } });
+      Simulate.submit(node);
+
+      expect(comp.state.dirty).eql(false);
+
+      Simulate.change(input, { target: { value: "a" } });
+
+      expect(comp.state.dirtyFields).eql(["/name"]);
+    });
+
+    describe("Unsaved changes warning", () => {
+      let container;
+
+      beforeEach(() => {
+        container = document.createElement("div");
+      });
+
+      afterEach(() => {
+        unmountComponentAtNode(container);
+      });
+
+      const renderForm = props =>
+        findDOMNode(render(<Form {...props} />, container));
+
+      const unload = () => {
+        const event = document.createEvent("Event");
+        event.initEvent("beforeunload", false, true);
+        window.dispatchEvent(event);
+        return event;
+      };
+
+      it("should warn when leaving the page with unsaved changes", () => {
+        const node = renderForm({
+          schema,
+          formData,
+          warnOnUnsavedChanges: true,
+        });
+
+        expect(unload().defaultPrevented).eql(false);
+
+        Simulate.change(node.querySelector("#root_name"), {
+          target: { value: "b" },
+        });
+
+        expect(unload().defaultPrevented).eql(true);
+      });
+
+      it("should not warn by default", () => {
+        const node = renderForm({ schema, formData });
+
+        Simulate.change(node.querySelector("#root_name"), {
+          target: { value: "b" },
+        });
+
+        expect(unload().defaultPrevented).eql(false);
+      });
+    });
+  });
+
+  describe("Undo history", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        city: { type: "string" },
+        tags: { type: "array", items: { type: "string" } },
+      },
+    };
+    const formData = { name: "a", city: "b", tags: ["c", "d"] };
+
+    const type = (input, value) =>
+      Simulate.change(input, { target: { value } });
+
+    it("should undo and redo the changes", () => {
+      const onChange = sandbox.spy();
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        onChange,
+      });
+
+      Simulate.click(node.querySelector(".array-item-remove"));
+      expect(comp.state.formData.tags).eql(["d"]);
+
+      comp.undo();
+      expect(comp.state.formData.tags).eql(["c", "d"]);
+      expect(node.querySelectorAll(".array-item")).to.have.length.of(2);
+      sinon.assert.calledWithMatch(onChange.lastCall, {
+        formData: { tags: sinon.match(tags => tags.length === 2) },
+      });
+
+      comp.redo();
+      expect(comp.state.formData.tags).eql(["d"]);
+    });
+
+    it("should make a single step of the typing in a field", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+      const name = node.querySelector("#root_name");
+      const city = node.querySelector("#root_city");
+
+      type(name, "ab");
+      type(name, "abc");
+      type(city, "bc");
+      type(city, "bcd");
+
+      comp.undo();
+      expect(comp.state.formData).to.include({ name: "abc", city: "b" });
+
+      comp.undo();
+      expect(comp.state.formData).to.include({ name: "a", city: "b" });
+    });
+
+    it("should start a new step when typing after an undo", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+      const name = node.querySelector("#root_name");
+
+      type(name, "ab");
+      comp.undo();
+      type(name, "ax");
+      type(name, "axy");
+      comp.undo();
+
+      expect(comp.state.formData.name).eql("a");
+      comp.undo();
+      expect(comp.state.formData.name).eql("a");
+    });
+
+    it("should forget the undone changes once the data is changed", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+
+      type(node.querySelector("#root_name"), "ab");
+      comp.undo();
+      type(node.querySelector("#root_city"), "bc");
+      comp.redo();
+
+      expect(comp.state.formData).to.include({ name: "a", city: "bc" });
+    });
+
+    it("should only keep the latest steps", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        historySize: 2,
+      });
+
+      Simulate.click(node.querySelector(".array-item-add button"));
+      Simulate.click(node.querySelector(".array-item-add button"));
+      Simulate.click(node.querySelector(".array-item-add button"));
+      comp.undo();
+      comp.undo();
+      comp.undo();
+
+      expect(comp.state.formData.tags).to.have.length.of(3);
+    });
+
+    it("should undo a reset", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+
+      type(node.querySelector("#root_name"), "ab");
+      comp.reset();
+      comp.undo();
+
+      expect(comp.state.formData.name).eql("ab");
+    });
+
+    it("should support the keyboard shortcuts", () => {
+      const { comp, node } = createFormComponent({ schema, formData });
+      const name = node.querySelector("#root_name");
+
+      type(name, "ab");
+      Simulate.keyDown(name, { key: "z", ctrlKey: true });
+      expect(comp.state.formData.name).eql("a");
+
+      Simulate.keyDown(name, { key: "Z", ctrlKey: true, shiftKey: true });
+      expect(comp.state.formData.name).eql("ab");
+    });
+
+    it("should not record any change when disabled", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        historySize: 0,
+      });
+
+      type(node.querySelector("#root_name"), "ab");
+      comp.undo();
+
+      expect(comp.state.formData.name).eql("ab");
+    });
+  });
+
+  describe("Drafts", () => {
+    const schema = {
+      type: "object",
+      properties: { name: { type: "string" }, city: { type: "string" } },
+    };
+    const formData = { name: "a" };
+    const version = getSchemaVersion(schema);
+    const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+
+    const saved = storage => JSON.parse(storage.items.form).formData;
+
+    it("should save the changes once the user stopped editing", () => {
+      const storage = createStorage();
+      const { node } = createFormComponent({
+        schema,
+        formData,
+        draft: { key: "form", storage, delay: 0 },
+      });
+
+      Simulate.change(node.querySelector("#root_name"), {
+        target: { value: "ab" },
+      });
+
+      expect(storage.items).eql({});
+      return wait().then(() => {
+        expect(saved(storage)).eql({ name: "ab" });
+      });
+    });
+
+    it("should remove the draft when the data is unchanged again", () => {
+      const storage = createStorage();
+      const { node } = createFormComponent({
+        schema,
+        formData,
+        draft: { key: "form", storage, delay: 0 },
+      });
+      const input = node.querySelector("#root_name");
+
+      Simulate.change(input, { target: { value: "ab" } });
+      return wait()
+        .then(() => {
+          Simulate.change(input, { target: { value: "a" } });
+          return wait();
+        })
+        .then(() => expect(storage.items).eql({}));
+    });
+
+    it("should offer to restore the saved draft", () => {
+      const storage = createStorage();
+      return saveDraft(storage, "form", version, { name: "ab", city: "c" })
+        .then(() => {
+          const { comp, node } = createFormComponent({
+            schema,
+            formData,
+            draft: { key: "form", storage },
+          });
+          return wait().then(() => ({ comp, node }));
+        })
+        .then(({ comp, node }) => {
+          expect(node.querySelector(".form-draft")).not.eql(null);
+
+          Simulate.click(node.querySelector(".btn-draft-restore"));
+
+          expect(comp.state.formData).eql({ name: "ab", city: "c" });
+          expect(node.querySelector(".form-draft")).eql(null);
+          comp.undo();
+          expect(comp.state.formData.name).eql("a");
+        });
+    });
+
+    it("should discard the saved draft", () => {
+      const storage = createStorage();
+      return saveDraft(storage, "form", version, { name: "ab" })
+        .then(() => {
+          const { node } = createFormComponent({
+            schema,
+            formData,
+            draft: { key: "form", storage },
+          });
+          return wait().then(() => node);
+        })
+        .then(node => {
+          Simulate.click(node.querySelector(".btn-draft-discard"));
+
+          expect(node.querySelector(".form-draft")).eql(null);
+          return wait();
+        })
+        .then(() => expect(storage.items).eql({}));
+    });
+
+    it("should not offer the drafts of another schema", () => {
+      const storage = createStorage();
+      return saveDraft(storage, "form", "other", { name: ["ab"] })
+        .then(() => {
+          const { node } = createFormComponent({
+            schema,
+            formData,
+            draft: { key: "form", storage },
+          });
+          return wait().then(() => node);
+        })
+        .then(node => {
+          expect(node.querySelector(".form-draft")).eql(null);
+          expect(storage.items).eql({});
+        });
+    });
+
+    it("should version the drafts after the current schema", () => {
+      const storage = createStorage();
+      const otherSchema = {
+        ...schema,
+        properties: { ...schema.properties, zip: { type: "string" } },
+      };
+      const props = {
+        formData,
+        draft: { key: "form", storage },
+        safeRenderCompletion: true,
+      };
+      const { comp, node } = createFormComponent({ ...props, schema });
+
+      setProps(comp, { ...props, schema: otherSchema });
+      Simulate.change(node.querySelector("#root_name"), {
+        target: { value: "ab" },
+      });
+      comp.flushDraft();
+
+      expect(JSON.parse(storage.items.form).version).eql(
+        getSchemaVersion(otherSchema)
+      );
+    });
+
+    it("should not hash the schema on every change", () => {
+      const storage = createStorage();
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        draft: { key: "form", storage },
+        safeRenderCompletion: true,
+      });
+      const stringify = sandbox.spy(JSON, "stringify");
+
+      Simulate.change(node.querySelector("#root_name"), {
+        target: { value: "ab" },
+      });
+      comp.flushDraft();
+
+      expect(stringify.calledWith(schema)).eql(false);
+    });
+
+    it("should not hash the schema without drafts", () => {
+      const stringify = sandbox.spy(JSON, "stringify");
+      const { comp } = createFormComponent({ schema, formData });
+
+      setProps(comp, { schema: { ...schema }, formData });
+
+      expect(stringify.calledWith(sinon.match.has("properties"))).eql(false);
+    });
+
+    it("should discard the draft on submit", () => {
+      const storage = createStorage();
+      const { node } = createFormComponent({
+        schema,
+        formData,
+        draft: { key: "form", storage, delay: 0 },
+      });
+
+      Simulate.change(node.querySelector("#root_name"), {
+        target: { value: "ab" },
+      });
+      return wait()
+        .then(() => {
+          expect(storage.items).to.have.property("form");
+          Simulate.submit(node);
+          return wait();
+        })
+        .then(() => expect(storage.items).eql({}));
+    });
+  });
+
   describe("Error contextualization", () => {
     describe("on form state updated", () => {
       const schema = {
@@ -0,0 +1,201 @@
+import { expect } from "chai";
+import { Simulate } from "react-addons-test-utils";
+
+import { createFormComponent, createSandbox } from "./test_utils";
+
+describe("MultiSchemaField", () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe("oneOf", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        amount: { type: "number" },
+      },
+      oneOf: [
+        {
+          title: "Card",
+          properties: {
+            cardNumber: { type: "string" },
+          },
+          required: ["cardNumber"],
+        },
+        {
+          title: "Bank transfer",
+          properties: {
+            iban: { type: "string" },
+          },
+          required: ["iban"],
+        },
+      ],
+    };
+
+    it("should render a variant selector", () => {
+      const { node } = createFormComponent({ schema });
+
+      const select = node.querySelector("select#root__oneOf_select");
+      const labels = [].map.call(select.options, o => o.textContent);
+      expect(labels).eql(["", "Card", "Bank transfer"]);
+    });
+
+    it("should render the base properties and the first variant", () => {
+      const { node } = createFormComponent({ schema });
+
+      expect(node.querySelector("#root_amount")).not.eql(null);
+      expect(node.querySelector("#root_cardNumber")).not.eql(null);
+      expect(node.querySelector("#root_iban")).eql(null);
+    });
+
+    it("should guess the active variant from formData", () => {
+      const { node } = createFormComponent({
+        schema,
+        formData: { amount: 12, iban: "FR76" },
+      });
+
+      expect(node.querySelector("#root__oneOf_select").value).eql("1");
+      expect(node.querySelector("#root_iban").value).eql("FR76");
+      expect(node.querySelector("#root_cardNumber")).eql(null);
+    });
+
+    it("should render the selected variant", () => {
+      const { node } = createFormComponent({ schema });
+
+      Simulate.change(node.querySelector("#root__oneOf_select"), {
+        target: { value: "1" },
+      });
+
+      expect(node.querySelector("#root_iban")).not.eql(null);
+      expect(node.querySelector("#root_cardNumber")).eql(null);
+    });
+
+    it("should strip the properties of the previous variant", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { amount: 12, cardNumber: "4242" },
+      });
+
+      Simulate.change(node.querySelector("#root__oneOf_select"), {
+        target: { value: "1" },
+      });
+
+      expect(comp.state.formData).eql({ amount: 12, iban: undefined });
+      expect(node.querySelector("#root__oneOf_select").value).eql("1");
+    });
+
+    it("should keep the selected variant while it's being filled", () => {
+      const { comp, node } = createFormComponent({ schema });
+
+      Simulate.change(node.querySelector("#root__oneOf_select"), {
+        target: { value: "1" },
+      });
+      Simulate.change(node.querySelector("#root_iban"), {
+        target: { value: "FR76" },
+      });
+
+      expect(comp.state.formData).eql({ amount: undefined, iban: "FR76" });
+      expect(node.querySelector("#root__oneOf_select").value).eql("1");
+    });
+
+    it("should resolve referenced variants", () => {
+      const { node } = createFormComponent({
+        schema: {
+          definitions: {
+            card: {
+              title: "Card",
+              type: "object",
+              properties: { cardNumber: { type: "string" } },
+            },
+            bank: {
+              title: "Bank transfer",
+              type: "object",
+              properties: { iban: { type: "string" } },
+            },
+          },
+          oneOf: [
+            { $ref: "#/definitions/card" },
+            { $ref: "#/definitions/bank" },
+          ],
+        },
+        formData: { iban: "FR76" },
+      });
+
+      expect(node.querySelector("#root__oneOf_select").value).eql("1");
+      expect(node.querySelector("#root_iban").value).eql("FR76");
+    });
+  });
+
+  describe("anyOf", () => {
+    const schema = {
+      anyOf: [
+        { title: "A number", type: "number" },
+        { title: "A string", type: "string" },
+      ],
+    };
+
+    it("should render a variant selector", () => {
+      const { node } = createFormComponent({ schema });
+
+      expect(node.querySelector("select#root__anyOf_select")).not.eql(null);
+      expect(node.querySelectorAll("input")).to.have.length.of(1);
+    });
+
+    it("should guess a primitive variant from formData", () => {
+      const { node } = createFormComponent({ schema, formData: "foo" });
+
+      expect(node.querySelector("#root__anyOf_select").value).eql("1");
+      expect(node.querySelector("input#root").value).eql("foo");
+    });
+
+    it("should reset the data of a primitive variant on switch", () => {
+      const { comp, node } = createFormComponent({ schema, formData: "foo" });
+
+      Simulate.change(node.querySelector("#root__anyOf_select"), {
+        target: { value: "0" },
+      });
+
+      expect(comp.state.formData).eql(undefined);
+    });
+  });
+
+  describe("multiple types", () => {
+    const schema = {
+      type: ["string", "number"],
+    };
+
+    it("should render a type selector", () => {
+      const { node } = createFormComponent({ schema });
+
+      const select = node.querySelector("select#root__type_select");
+      const labels = [].map.call(select.options, o => o.textContent);
+      expect(labels).eql(["", "string", "number"]);
+    });
+
+    it("should guess the type from formData", () => {
+      const { node } = createFormComponent({ schema, formData: 42 });
+
+      expect(node.querySelector("#root__type_select").value).eql("1");
+      expect(node.querySelector("input#root").value).eql("42");
+    });
+
+    it("should convert the input value to the selected type", () => {
+      const { comp, node } = createFormComponent({ schema });
+
+      Simulate.change(node.querySelector("#root__type_select"), {
+        target: { value: "1" },
+      });
+      Simulate.change(node.querySelector("input#root"), {
+        target: { value: "42" },
+      });
+
+      expect(comp.state.formData).eql(42);
+    });
+  });
+});
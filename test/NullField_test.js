@@ -0,0 +1,92 @@
+import { expect } from "chai";
+
+import { createFormComponent, createSandbox } from "./test_utils";
+
+describe("NullField", () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe("No widget", () => {
+    it("should render a null field", () => {
+      const { node } = createFormComponent({
+        schema: {
+          type: "null",
+        },
+      });
+
+      expect(node.querySelectorAll(".field")).to.have.length.of(1);
+      expect(node.querySelectorAll(".field input")).to.have.length.of(0);
+    });
+
+    it("should render a null field with a label", () => {
+      const { node } = createFormComponent({
+        schema: {
+          type: "null",
+          title: "foo",
+        },
+      });
+
+      expect(node.querySelector(".field label").textContent).eql("foo");
+    });
+
+    it("should assign a default value", () => {
+      const { comp } = createFormComponent({
+        schema: {
+          type: "null",
+        },
+      });
+
+      expect(comp.state.formData).eql(null);
+    });
+
+    it("should set null in an object", () => {
+      const { comp } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: {
+            foo: { type: "null" },
+          },
+        },
+      });
+
+      expect(comp.state.formData).eql({ foo: null });
+    });
+
+    it("should set null in all the properties of an object", () => {
+      const { comp } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: {
+            foo: { type: "null" },
+            bar: { type: "null" },
+          },
+        },
+      });
+
+      expect(comp.state.formData).eql({ foo: null, bar: null });
+    });
+
+    it("should not trigger a change on mount", () => {
+      const onChange = sandbox.spy();
+      const { comp } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: {
+            foo: { type: "null" },
+          },
+        },
+        onChange,
+      });
+
+      expect(onChange.called).eql(false);
+      expect(comp.state.dirty).eql(false);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import React from "react";
+
+import { expect } from "chai";
+import { Simulate } from "react-addons-test-utils";
+import { createFormComponent, createSandbox } from "./test_utils";
+
+describe("ObjectFieldTemplate", () => {
+  let sandbox;
+
+  const schema = {
+    type: "object",
+    title: "Person",
+    description: "A person",
+    required: ["name"],
+    properties: {
+      name: { type: "string" },
+      age: { type: "number" },
+      id: { type: "string" },
+    },
+    additionalProperties: { type: "string" },
+  };
+  const uiSchema = {
+    "ui:order": ["age", "*"],
+    id: { "ui:widget": "hidden" },
+  };
+  const formData = { name: "a", id: "b", nickname: "c" };
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe("Custom ObjectFieldTemplate", () => {
+    function ObjectFieldTemplate(props) {
+      return (
+        <div className="custom-object">
+          <h2 className="custom-title">{props.title}</h2>
+          <p className="custom-description">{props.description}</p>
+          {props.properties.map(property => (
+            <div
+              key={property.name}
+              className={[
+                "custom-property",
+                property.required && "custom-required",
+                property.hidden && "custom-hidden",
+              ]
+                .filter(Boolean)
+                .join(" ")}>
+              {property.content}
+            </div>
+          ))}
+          {props.canExpand &&
+            <button className="custom-add" onClick={props.onAddClick} />}
+        </div>
+      );
+    }
+
+    it("should render the custom template", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData,
+        ObjectFieldTemplate,
+      });
+
+      expect(node.querySelectorAll("fieldset")).to.have.length.of(0);
+      expect(node.querySelector(".custom-title").textContent).eql("Person");
+      expect(node.querySelector(".custom-description").textContent).eql(
+        "A person"
+      );
+    });
+
+    it("should pass the properties in order", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData,
+        ObjectFieldTemplate,
+      });
+
+      const properties = node.querySelectorAll(".custom-property");
+      expect(
+        [].map.call(properties, property => property.querySelector("input").id)
+      ).eql(["root_age", "root_name", "root_id", "root_nickname__key"]);
+    });
+
+    it("should flag the required and hidden properties", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData,
+        ObjectFieldTemplate,
+      });
+
+      expect(node.querySelector(".custom-required #root_name")).not.eql(null);
+      expect(node.querySelector(".custom-hidden #root_id")).not.eql(null);
+    });
+
+    it("should add a property with the onAddClick handler", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData,
+        ObjectFieldTemplate,
+      });
+
+      Simulate.click(node.querySelector(".custom-add"));
+
+      expect(comp.state.formData).to.have.property("newKey");
+    });
+
+    it("should pass the object props", () => {
+      let templateProps;
+      const errorSchema = { name: { __errors: ["error"] } };
+      createFormComponent({
+        schema,
+        formData,
+        extraErrors: errorSchema,
+        formContext: { foo: "bar" },
+        ObjectFieldTemplate: props => {
+          templateProps = props;
+          return <div />;
+        },
+      });
+
+      expect(templateProps.idSchema.$id).eql("root");
+      expect(templateProps.formData.nickname).eql("c");
+      expect(templateProps.errorSchema).eql(errorSchema);
+      expect(templateProps.formContext).eql({ foo: "bar" });
+      expect(templateProps.required).eql(false);
+    });
+
+    it("should be used for nested objects", () => {
+      const { node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: { person: schema },
+        },
+        ObjectFieldTemplate,
+      });
+
+      expect(node.querySelectorAll(".custom-object")).to.have.length.of(2);
+    });
+  });
+
+  describe("Layout and display", () => {
+    function ObjectFieldTemplate(props) {
+      return <div className="custom-object">{props.children}</div>;
+    }
+
+    it("should render the laid out properties as children", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: { "ui:layout": [["name", "age"]] },
+        ObjectFieldTemplate,
+      });
+
+      expect(node.querySelector(".custom-object .layout-row")).not.eql(null);
+    });
+
+    it("should render the object sections as children", () => {
+      const { node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: { person: schema },
+        },
+        uiSchema: { "ui:options": { display: "tabs" } },
+        ObjectFieldTemplate,
+      });
+
+      expect(node.querySelector(".custom-object .object-tabs")).not.eql(null);
+    });
+
+    it("should list the properties in their laid out order", () => {
+      let properties;
+      createFormComponent({
+        schema,
+        uiSchema: { "ui:layout": [["age", "*"]] },
+        ObjectFieldTemplate: props => {
+          properties = props.properties;
+          return <div />;
+        },
+      });
+
+      expect(properties.map(property => property.name)).eql([
+        "age",
+        "name",
+        "id",
+      ]);
+    });
+  });
+});
@@ -1,7 +1,10 @@
 import React from "react";
 import { expect } from "chai";
 import { Simulate } from "react-addons-test-utils";
+import { render, unmountComponentAtNode } from "react-dom";
+import sinon from "sinon";
 
+import Form from "../src";
 import { createFormComponent, createSandbox } from "./test_utils";
 
 describe("ObjectField", () => {
@@ -328,6 +331,478 @@ describe("ObjectField", () => {
     });
   });
 
+  describe("layout", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        firstName: { type: "string" },
+        lastName: { type: "string" },
+        email: { type: "string" },
+        phone: { type: "string" },
+        city: { type: "string" },
+        zip: { type: "string" },
+      },
+    };
+
+    const getIds = node =>
+      [].map.call(node.querySelectorAll("input[type=text]"), input => {
+        return input.id;
+      });
+
+    const getColumns = row =>
+      [].map.call(row.children, column => [
+        column.className,
+        column.querySelector("input").id,
+      ]);
+
+    it("should render the fields of a row side by side", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: { "ui:layout": [["firstName", "lastName"]] },
+      });
+
+      const rows = node.querySelectorAll(".layout-row");
+      expect(rows).to.have.length.of(1);
+      expect(getColumns(rows[0])).eql([
+        ["col-xs-6", "root_firstName"],
+        ["col-xs-6", "root_lastName"],
+      ]);
+    });
+
+    it("should share the columns the other cells leave", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: {
+          "ui:layout": [["city", { name: "zip", width: 4 }]],
+        },
+      });
+
+      expect(getColumns(node.querySelector(".layout-row"))).eql([
+        ["col-xs-8", "root_city"],
+        ["col-xs-4", "root_zip"],
+      ]);
+    });
+
+    it("should render the sections with their title", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: {
+          "ui:layout": [
+            { title: "Contact", rows: [["email", "phone"]] },
+            { title: "Address", rows: ["city", "zip"] },
+          ],
+        },
+      });
+
+      const sections = node.querySelectorAll(".layout-section");
+      expect(
+        [].map.call(sections, section => [
+          section.querySelector("legend").textContent,
+          getIds(section),
+        ])
+      ).eql([
+        ["Contact", ["root_email", "root_phone"]],
+        ["Address", ["root_city", "root_zip"]],
+      ]);
+    });
+
+    it("should render the other properties after the layout", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: {
+          "ui:layout": [["firstName", "lastName"]],
+          "ui:order": ["zip", "*"],
+        },
+      });
+
+      expect(getIds(node)).eql([
+        "root_firstName",
+        "root_lastName",
+        "root_zip",
+        "root_email",
+        "root_phone",
+        "root_city",
+      ]);
+    });
+
+    it("should render the other properties in place of the wildcard", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: { "ui:layout": ["*", ["city", "zip"]] },
+      });
+
+      expect(getIds(node)).eql([
+        "root_firstName",
+        "root_lastName",
+        "root_email",
+        "root_phone",
+        "root_city",
+        "root_zip",
+      ]);
+    });
+
+    it("should order the properties in place of the wildcard", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: {
+          "ui:layout": ["*", ["city", "zip"]],
+          "ui:order": ["phone", "*"],
+        },
+      });
+
+      expect(getIds(node)).eql([
+        "root_phone",
+        "root_firstName",
+        "root_lastName",
+        "root_email",
+        "root_city",
+        "root_zip",
+      ]);
+    });
+
+    it("should report the properties missing from the order", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: {
+          "ui:layout": [["firstName", "lastName"]],
+          "ui:order": ["zip"],
+        },
+      });
+
+      expect(node.querySelector(".config-error").textContent).to.match(
+        /does not contain properties 'email', 'phone', 'city'/
+      );
+    });
+
+    it("should skip the properties missing from the schema", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: { "ui:layout": [["firstName", "middleName", "lastName"]] },
+      });
+
+      expect(node.querySelector(".layout-row").children).to.have.length.of(3);
+      expect(getIds(node.querySelector(".layout-row"))).eql([
+        "root_firstName",
+        "root_lastName",
+      ]);
+    });
+
+    it("should change the data of the laid out fields", () => {
+      const onChange = sandbox.spy();
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: { "ui:layout": [["firstName", "lastName"]] },
+        onChange,
+      });
+
+      Simulate.change(node.querySelector("#root_lastName"), {
+        target: { value: "Doe" },
+      });
+
+      sinon.assert.calledWithMatch(onChange.lastCall, {
+        formData: { lastName: "Doe" },
+      });
+    });
+  });
+
+  describe("display", () => {
+    const schema = {
+      type: "object",
+      required: ["billing"],
+      properties: {
+        name: { type: "string" },
+        billing: {
+          type: "object",
+          title: "Billing",
+          required: ["city"],
+          properties: { city: { type: "string" } },
+        },
+        shipping: {
+          type: "object",
+          properties: {
+            city: { type: "string" },
+            zip: { type: "string", minLength: 5 },
+          },
+        },
+      },
+    };
+
+    const getTitles = node =>
+      [].map.call(node.querySelectorAll("a[href]"), link => link.textContent);
+
+    describe("tabs", () => {
+      const uiSchema = { "ui:options": { display: "tabs" } };
+
+      it("should render the other properties before the tabs", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        expect(node.querySelector("#root_name")).not.eql(null);
+        expect(getTitles(node.querySelector(".nav-tabs"))).eql([
+          "Billing",
+          "shipping",
+        ]);
+      });
+
+      it("should only render the active tab panel", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        expect(node.querySelector(".nav-tabs .active a").id).eql(
+          "root_billing__tab"
+        );
+        expect(node.querySelector("#root_billing_city")).not.eql(null);
+        expect(node.querySelector("#root_shipping_city")).eql(null);
+      });
+
+      it("should switch tabs on click", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        Simulate.click(node.querySelector("#root_shipping__tab"));
+
+        expect(node.querySelector(".nav-tabs .active a").id).eql(
+          "root_shipping__tab"
+        );
+        expect(node.querySelector("#root_billing_city")).eql(null);
+        expect(node.querySelector("#root_shipping_city")).not.eql(null);
+      });
+
+      it("should switch to the tab with errors on a failed submit", () => {
+        const { node } = createFormComponent({
+          schema,
+          uiSchema,
+          formData: { billing: { city: "Paris" }, shipping: { zip: "123" } },
+          onError: () => {},
+        });
+
+        Simulate.submit(node);
+
+        expect(node.querySelector(".nav-tabs .active a").id).eql(
+          "root_shipping__tab"
+        );
+        expect(
+          node.querySelector(".nav-tabs .has-error .badge").textContent
+        ).eql("1");
+      });
+    });
+
+    describe("accordion", () => {
+      const uiSchema = { "ui:options": { display: "accordion" } };
+
+      it("should open the first section initially", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        expect(node.querySelectorAll(".panel-body")).to.have.length.of(1);
+        expect(node.querySelector("#root_billing_city")).not.eql(null);
+      });
+
+      it("should only keep one section open", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        Simulate.click(node.querySelector("#root_shipping__toggle"));
+
+        expect(node.querySelectorAll(".panel-body")).to.have.length.of(1);
+        expect(node.querySelector("#root_shipping_city")).not.eql(null);
+      });
+
+      it("should fold the open section on click", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        Simulate.click(node.querySelector("#root_billing__toggle"));
+
+        expect(node.querySelectorAll(".panel-body")).to.have.length.of(0);
+      });
+
+      it("should open the first section with errors on a failed submit", () => {
+        const { node } = createFormComponent({
+          schema,
+          uiSchema,
+          formData: { billing: { city: "Paris" }, shipping: { zip: "123" } },
+          onError: () => {},
+        });
+
+        Simulate.submit(node);
+
+        expect(node.querySelector(".panel-danger .panel-body")).not.eql(null);
+        expect(node.querySelector("#root_shipping_zip")).not.eql(null);
+        expect(node.querySelector("#root_billing_city")).eql(null);
+      });
+    });
+
+    describe("collapsible", () => {
+      const uiSchema = { "ui:options": { display: "collapsible" } };
+
+      it("should fold the sections initially", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        expect(getTitles(node.querySelector(".panel-group"))).eql([
+          "Billing",
+          "shipping",
+        ]);
+        expect(node.querySelectorAll(".panel-body")).to.have.length.of(0);
+      });
+
+      it("should open the sections independently", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        Simulate.click(node.querySelector("#root_billing__toggle"));
+        Simulate.click(node.querySelector("#root_shipping__toggle"));
+
+        expect(node.querySelectorAll(".panel-body")).to.have.length.of(2);
+      });
+
+      it("should open all the sections with errors on a failed submit", () => {
+        const { node } = createFormComponent({
+          schema,
+          uiSchema,
+          formData: { shipping: { zip: "123" } },
+          onError: () => {},
+        });
+
+        Simulate.submit(node);
+
+        expect(node.querySelectorAll(".panel-body")).to.have.length.of(2);
+        expect(
+          [].map.call(node.querySelectorAll(".badge"), badge => {
+            return badge.textContent;
+          })
+        ).eql(["1", "1"]);
+      });
+
+      it("should remember the open sections when rendered again", () => {
+        const { node } = createFormComponent({
+          schema: {
+            type: "object",
+            properties: { address: schema },
+          },
+          uiSchema: {
+            "ui:options": { display: "tabs" },
+            address: uiSchema,
+          },
+        });
+
+        Simulate.click(node.querySelector("#root_address_shipping__toggle"));
+        Simulate.click(node.querySelector("#root_address__tab"));
+
+        expect(node.querySelector("#root_address_shipping_city")).not.eql(null);
+      });
+
+      it("should open the error sections of the objects it reveals", () => {
+        const { node } = createFormComponent({
+          schema: {
+            type: "object",
+            properties: {
+              a: { type: "object", properties: { u: { type: "string" } } },
+              b: {
+                type: "object",
+                properties: {
+                  x: { type: "object", properties: { u: { type: "string" } } },
+                  y: {
+                    type: "object",
+                    properties: { v: { type: "string", minLength: 3 } },
+                  },
+                },
+              },
+            },
+          },
+          uiSchema: {
+            "ui:options": { display: "accordion" },
+            b: { "ui:options": { display: "tabs" } },
+          },
+          formData: { b: { y: { v: "a" } } },
+          onError: () => {},
+        });
+
+        Simulate.submit(node);
+
+        expect(node.querySelector("#root_a_u")).eql(null);
+        expect(node.querySelector(".nav-tabs .active a").id).eql(
+          "root_b_y__tab"
+        );
+        expect(node.querySelector("#root_b_y_v")).not.eql(null);
+      });
+
+      it("should keep the open sections in the form state", () => {
+        const { comp, node } = createFormComponent({ schema, uiSchema });
+
+        Simulate.click(node.querySelector("#root_shipping__toggle"));
+
+        expect(comp.state.openSections).eql({ root: ["shipping"] });
+      });
+
+      it("should count the failed submissions in the form state", () => {
+        const { comp, node } = createFormComponent({
+          schema,
+          uiSchema,
+          onError: () => {},
+        });
+
+        Simulate.submit(node);
+        Simulate.submit(node);
+
+        expect(comp.state.failedSubmitCount).eql(2);
+      });
+    });
+
+    describe("With a layout", () => {
+      const uiSchema = {
+        "ui:layout": [["name", "billing"]],
+        "ui:options": { display: "tabs" },
+      };
+
+      it("should lay out the object properties instead of the sections", () => {
+        const { node } = createFormComponent({ schema, uiSchema });
+
+        expect(node.querySelector(".nav-tabs")).eql(null);
+        expect(node.querySelector(".layout-row #root_billing_city")).not.eql(
+          null
+        );
+        expect(node.querySelector("#root_shipping_city")).not.eql(null);
+      });
+
+      it("should not open sections on a failed submit", () => {
+        const { comp, node } = createFormComponent({
+          schema,
+          uiSchema,
+          onError: () => {},
+        });
+
+        Simulate.submit(node);
+
+        expect(node.querySelector(".nav-tabs")).eql(null);
+        expect(comp.state.openSections).eql({});
+      });
+    });
+
+    describe("Focus", () => {
+      let container;
+
+      beforeEach(() => {
+        container = document.createElement("div");
+        document.body.appendChild(container);
+      });
+
+      afterEach(() => {
+        unmountComponentAtNode(container);
+        document.body.removeChild(container);
+      });
+
+      it("should open the section of a focused field", () => {
+        const comp = render(
+          <Form
+            schema={schema}
+            uiSchema={{ "ui:options": { display: "collapsible" } }}
+          />,
+          container
+        );
+
+        comp.focus("/shipping/zip");
+
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+          expect(document.activeElement.id).eql("root_shipping_zip");
+        });
+      });
+    });
+  });
+
   describe("Title", () => {
     const TitleField = props => <div id={`title-${props.title}`} />;
 
@@ -369,4 +844,423 @@ describe("ObjectField", () => {
       expect(node.querySelector("#title-")).to.be.null;
     });
   });
+
+  describe("dependencies", () => {
+    describe("property dependencies", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          creditCard: { type: "string" },
+          billingAddress: { type: "string" },
+        },
+        dependencies: {
+          creditCard: ["billingAddress"],
+        },
+      };
+
+      it("should not require the dependent field by default", () => {
+        const { node } = createFormComponent({ schema });
+
+        expect(
+          node.querySelector("#root_billingAddress").getAttribute("required")
+        ).eql(null);
+      });
+
+      it("should require the dependent field when the trigger is set", () => {
+        const { node } = createFormComponent({ schema });
+
+        Simulate.change(node.querySelector("#root_creditCard"), {
+          target: { value: "4242" },
+        });
+
+        expect(
+          node.querySelector("#root_billingAddress").getAttribute("required")
+        ).eql("");
+      });
+    });
+
+    describe("schema dependencies", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+        },
+        dependencies: {
+          name: {
+            properties: {
+              nickname: { type: "string" },
+            },
+            required: ["nickname"],
+          },
+        },
+      };
+
+      it("should not render the dependent field by default", () => {
+        const { node } = createFormComponent({ schema });
+
+        expect(node.querySelector("#root_nickname")).eql(null);
+      });
+
+      it("should render the dependent field when the trigger is set", () => {
+        const { node } = createFormComponent({ schema });
+
+        Simulate.change(node.querySelector("#root_name"), {
+          target: { value: "Bob" },
+        });
+
+        const input = node.querySelector("#root_nickname");
+        expect(input).not.eql(null);
+        expect(input.getAttribute("required")).eql("");
+      });
+
+      it("should remove the dependent field when the trigger is unset", () => {
+        const { node } = createFormComponent({
+          schema,
+          formData: { name: "Bob" },
+        });
+
+        Simulate.change(node.querySelector("#root_name"), {
+          target: { value: "" },
+        });
+
+        expect(node.querySelector("#root_nickname")).eql(null);
+      });
+
+      it("should validate the dependent schema", () => {
+        const onError = sandbox.spy();
+        const { node } = createFormComponent({
+          schema,
+          formData: { name: "Bob" },
+          onError,
+        });
+
+        Simulate.submit(node);
+
+        sinon.assert.calledOnce(onError);
+      });
+    });
+
+    describe("oneOf dependencies", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          pet: { type: "string", enum: ["cat", "dog"] },
+        },
+        dependencies: {
+          pet: {
+            oneOf: [
+              {
+                properties: {
+                  pet: { enum: ["cat"] },
+                  lives: { type: "integer" },
+                },
+              },
+              {
+                properties: {
+                  pet: { enum: ["dog"] },
+                  breed: { type: "string" },
+                },
+              },
+            ],
+          },
+        },
+      };
+
+      it("should render the properties of the matching subschema", () => {
+        const { node } = createFormComponent({
+          schema,
+          formData: { pet: "cat" },
+        });
+
+        expect(node.querySelector("#root_lives")).not.eql(null);
+        expect(node.querySelector("#root_breed")).eql(null);
+      });
+
+      it("should switch subschema as the trigger value changes", () => {
+        const { node } = createFormComponent({
+          schema,
+          formData: { pet: "cat" },
+        });
+
+        Simulate.change(node.querySelector("#root_pet"), {
+          target: { value: "dog" },
+        });
+
+        expect(node.querySelector("#root_lives")).eql(null);
+        expect(node.querySelector("#root_breed")).not.eql(null);
+      });
+    });
+  });
+
+  describe("additionalProperties", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+      },
+      additionalProperties: {
+        type: "string",
+      },
+    };
+
+    it("should render the additional properties", () => {
+      const { node } = createFormComponent({
+        schema,
+        formData: { name: "foo", color: "red" },
+      });
+
+      expect(node.querySelector("#root_color__key").value).eql("color");
+      expect(node.querySelector("#root_color").value).eql("red");
+      expect(node.querySelector("#root_name__key")).eql(null);
+    });
+
+    it("should update an additional property value", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { color: "red" },
+      });
+
+      Simulate.change(node.querySelector("#root_color"), {
+        target: { value: "blue" },
+      });
+
+      expect(comp.state.formData).eql({ name: undefined, color: "blue" });
+    });
+
+    it("should add a new property", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { newKey: "x" },
+      });
+
+      Simulate.click(node.querySelector(".object-property-expand button"));
+
+      expect(comp.state.formData).eql({
+        name: undefined,
+        newKey: "x",
+        "newKey-1": undefined,
+      });
+      expect(node.querySelector("#root_newKey-1__key").value).eql("newKey-1");
+    });
+
+    it("should not render the add button when disabled by ui:options", () => {
+      const { node } = createFormComponent({
+        schema,
+        uiSchema: { "ui:options": { expandable: false } },
+      });
+
+      expect(node.querySelector(".object-property-expand")).eql(null);
+    });
+
+    it("should rename a property on key blur", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { color: "red", size: "big" },
+      });
+
+      const keyInput = node.querySelector("#root_color__key");
+      Simulate.change(keyInput, { target: { value: "colour" } });
+      Simulate.blur(keyInput);
+
+      expect(Object.keys(comp.state.formData)).eql(["name", "colour", "size"]);
+      expect(comp.state.formData.colour).eql("red");
+    });
+
+    it("should refuse to rename a property to an existing key", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { color: "red", size: "big" },
+      });
+
+      const keyInput = node.querySelector("#root_color__key");
+      Simulate.change(keyInput, { target: { value: "size" } });
+      Simulate.blur(keyInput);
+
+      expect(comp.state.formData.color).eql("red");
+      expect(
+        node.querySelector(".form-additional-key .help-block").textContent
+      ).eql('Property name "size" is already in use');
+    });
+
+    it("should remove a property", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { color: "red", size: "big" },
+      });
+
+      Simulate.click(node.querySelector(".object-property-remove"));
+
+      expect(comp.state.formData).eql({ name: undefined, size: "big" });
+    });
+
+    it("should validate keys against propertyNames", () => {
+      const { comp, node } = createFormComponent({
+        schema: { ...schema, propertyNames: { pattern: "^[a-z]+$" } },
+        formData: { color: "red" },
+      });
+
+      const keyInput = node.querySelector("#root_color__key");
+      Simulate.change(keyInput, { target: { value: "Color" } });
+      Simulate.blur(keyInput);
+
+      expect(comp.state.formData.color).eql("red");
+      expect(
+        node.querySelector(".form-additional-key .help-block").textContent
+      ).eql('Property name "Color" is not valid');
+    });
+
+    describe("patternProperties", () => {
+      const schema = {
+        type: "object",
+        patternProperties: {
+          "^n_": { type: "number" },
+        },
+        additionalProperties: false,
+      };
+
+      it("should render the properties matching a pattern", () => {
+        const { node } = createFormComponent({
+          schema,
+          formData: { n_foo: 42 },
+        });
+
+        expect(node.querySelector("#root_n_foo").value).eql("42");
+      });
+
+      it("should add a property matching a pattern", () => {
+        const { comp, node } = createFormComponent({
+          schema,
+          formData: { n_foo: 42 },
+        });
+
+        Simulate.click(node.querySelector(".object-property-expand button"));
+
+        expect(comp.state.formData).eql({ n_foo: 42, n_newKey: undefined });
+        expect(node.querySelector(".field-number #root_n_newKey")).not.eql(
+          null
+        );
+      });
+
+      it("should refuse keys matching no pattern", () => {
+        const { comp, node } = createFormComponent({
+          schema,
+          formData: { n_foo: 42 },
+        });
+
+        const keyInput = node.querySelector("#root_n_foo__key");
+        Simulate.change(keyInput, { target: { value: "foo" } });
+        Simulate.blur(keyInput);
+
+        expect(comp.state.formData).eql({ n_foo: 42 });
+        expect(
+          node.querySelector(".form-additional-key .help-block").textContent
+        ).eql('Property name "foo" is not allowed');
+      });
+    });
+
+    describe("New keys", () => {
+      it("should name the new property after propertyNames", () => {
+        const { comp, node } = createFormComponent({
+          schema: { ...schema, propertyNames: { pattern: "^[a-z]+$" } },
+          formData: { color: "red" },
+        });
+
+        Simulate.click(node.querySelector(".object-property-expand button"));
+
+        expect(comp.state.formData).to.have.property("newkey");
+      });
+
+      it("should use the first propertyNames enum value not in use", () => {
+        const { comp, node } = createFormComponent({
+          schema: { ...schema, propertyNames: { enum: ["color", "size"] } },
+          formData: { color: "red" },
+        });
+
+        Simulate.click(node.querySelector(".object-property-expand button"));
+
+        expect(Object.keys(comp.state.formData)).eql(["name", "color", "size"]);
+      });
+
+      it("should not add a property when no key is accepted", () => {
+        const { comp, node } = createFormComponent({
+          schema: { ...schema, propertyNames: { enum: ["color"] } },
+          formData: { color: "red" },
+        });
+
+        Simulate.click(node.querySelector(".object-property-expand button"));
+
+        expect(comp.state.formData).eql({ name: undefined, color: "red" });
+      });
+    });
+
+    describe("additionalProperties: true", () => {
+      const schema = { type: "object", additionalProperties: true };
+
+      it("should render the values after their type", () => {
+        const { node } = createFormComponent({
+          schema,
+          formData: { count: 3, flag: true, label: "x" },
+        });
+
+        expect(node.querySelector(".field-number #root_count")).not.eql(null);
+        expect(node.querySelector(".field-boolean #root_flag")).not.eql(null);
+        expect(node.querySelector(".field-string #root_label")).not.eql(null);
+      });
+
+      it("should add an untyped property", () => {
+        const { comp, node } = createFormComponent({ schema });
+
+        Simulate.click(node.querySelector(".object-property-expand button"));
+        Simulate.change(node.querySelector("#root_newKey"), {
+          target: { value: "x" },
+        });
+
+        expect(comp.state.formData).eql({ newKey: "x" });
+      });
+    });
+  });
+
+  describe("if/then/else", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        country: { type: "string", enum: ["US", "FR"] },
+        state: { type: "string" },
+      },
+      if: {
+        properties: { country: { enum: ["US"] } },
+      },
+      then: {
+        properties: { state: { enum: ["CA", "NY"] } },
+        required: ["state"],
+      },
+    };
+
+    it("should render the then branch when the condition is met", () => {
+      const { node } = createFormComponent({
+        schema,
+        formData: { country: "US" },
+      });
+
+      const state = node.querySelector("#root_state");
+      expect(state.tagName).eql("SELECT");
+      expect(state.getAttribute("required")).eql("");
+    });
+
+    it("should update the rendered fields as the data changes", () => {
+      const { node } = createFormComponent({
+        schema,
+        formData: { country: "US" },
+      });
+
+      Simulate.change(node.querySelector("#root_country"), {
+        target: { value: "FR" },
+      });
+
+      const state = node.querySelector("#root_state");
+      expect(state.tagName).eql("INPUT");
+      expect(state.getAttribute("required")).eql(null);
+    });
+  });
 });
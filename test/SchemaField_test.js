@@ -308,4 +308,163 @@ describe("SchemaField", () => {
       expect(matches[0].textContent).to.contain("test");
     });
   });
+
+  describe("allOf support", () => {
+    const schema = {
+      definitions: {
+        named: {
+          type: "object",
+          properties: {
+            name: { type: "string", default: "Bob" },
+          },
+          required: ["name"],
+        },
+      },
+      allOf: [
+        { $ref: "#/definitions/named" },
+        {
+          properties: {
+            age: { type: "integer" },
+          },
+          required: ["age"],
+        },
+      ],
+    };
+
+    it("should render the merged properties", () => {
+      const { node } = createFormComponent({ schema });
+
+      expect(node.querySelector("#root_name")).not.eql(null);
+      expect(node.querySelector("#root_age")).not.eql(null);
+    });
+
+    it("should mark the properties required by any subschema", () => {
+      const { node } = createFormComponent({ schema });
+
+      expect(node.querySelector("#root_name").getAttribute("required")).eql("");
+      expect(node.querySelector("#root_age").getAttribute("required")).eql("");
+    });
+
+    it("should compute the merged defaults", () => {
+      const { comp } = createFormComponent({ schema });
+
+      expect(comp.state.formData).eql({ name: "Bob", age: undefined });
+    });
+  });
+
+  describe("nullable fields", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        foo: { type: ["string", "null"] },
+      },
+    };
+
+    it("should render the non-null type field", () => {
+      const { node } = createFormComponent({ schema });
+
+      expect(node.querySelector("input#root_foo").type).eql("text");
+      expect(node.querySelector(".field-string #root_foo__null")).not.eql(null);
+    });
+
+    it("should clear the value to null", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { foo: "bar" },
+      });
+
+      Simulate.click(node.querySelector("#root_foo__null"));
+
+      expect(comp.state.formData).eql({ foo: null });
+      expect(node.querySelector("input#root_foo")).eql(null);
+      expect(node.querySelector(".field-null-value").textContent).eql("null");
+    });
+
+    it("should restore a value from null", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        formData: { foo: null },
+      });
+
+      expect(node.querySelector("#root_foo__null").textContent).eql(
+        "Set a value"
+      );
+
+      Simulate.click(node.querySelector("#root_foo__null"));
+
+      expect(comp.state.formData).eql({ foo: undefined });
+      expect(node.querySelector("input#root_foo")).not.eql(null);
+    });
+
+    it("should not render a toggle for non nullable fields", () => {
+      const { node } = createFormComponent({
+        schema: { type: "string" },
+      });
+
+      expect(node.querySelector(".field-null-toggle")).eql(null);
+    });
+  });
+
+  describe("recursive schemas", () => {
+    const schema = {
+      definitions: {
+        category: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            parent: { $ref: "#/definitions/category", title: "Parent" },
+            children: {
+              type: "array",
+              items: { $ref: "#/definitions/category" },
+            },
+          },
+        },
+      },
+      $ref: "#/definitions/category",
+    };
+
+    it("should render the levels without data collapsed", () => {
+      const { node } = createFormComponent({ schema });
+
+      expect(node.querySelector("input#root_name")).not.eql(null);
+      expect(node.querySelector("input#root_parent_name")).eql(null);
+      expect(node.querySelector("#root_parent__expand").textContent).eql(
+        " Parent"
+      );
+    });
+
+    it("should render the levels with data expanded", () => {
+      const { node } = createFormComponent({
+        schema,
+        formData: { parent: { name: "foo" }, children: [{ name: "bar" }] },
+      });
+
+      expect(node.querySelector("input#root_parent_name").value).eql("foo");
+      expect(node.querySelector("#root_parent_parent__expand")).not.eql(null);
+      expect(node.querySelector("input#root_children_0_name").value).eql("bar");
+    });
+
+    it("should expand a level on demand", () => {
+      const { comp, node } = createFormComponent({ schema });
+
+      Simulate.click(node.querySelector("#root_parent__expand"));
+
+      expect(comp.state.formData.parent).eql({
+        name: undefined,
+        parent: undefined,
+        children: undefined,
+      });
+      expect(node.querySelector("input#root_parent_name")).not.eql(null);
+      expect(node.querySelector("#root_parent_parent__expand")).not.eql(null);
+    });
+
+    it("should add items of a recursive array", () => {
+      const { comp, node } = createFormComponent({ schema });
+
+      Simulate.click(node.querySelector(".array-item-add button"));
+
+      expect(comp.state.formData.children).to.have.length.of(1);
+      expect(node.querySelector("input#root_children_0_name")).not.eql(null);
+    });
+  });
 });
@@ -0,0 +1,134 @@
+import { expect } from "chai";
+
+import {
+  getSchemaVersion,
+  loadDraft,
+  removeDraft,
+  saveDraft,
+} from "../src/drafts";
+import { createStorage } from "./test_utils";
+
+describe("drafts", () => {
+  describe("getSchemaVersion()", () => {
+    it("should give the same version for the same schema", () => {
+      expect(getSchemaVersion({ type: "string" })).eql(
+        getSchemaVersion({ type: "string" })
+      );
+    });
+
+    it("should give another version for another schema", () => {
+      expect(getSchemaVersion({ type: "string" })).not.eql(
+        getSchemaVersion({ type: "number" })
+      );
+    });
+  });
+
+  describe("saveDraft()", () => {
+    it("should save the data along with the version", () => {
+      const storage = createStorage();
+
+      return saveDraft(storage, "key", "v1", { a: 1 }).then(() => {
+        const draft = JSON.parse(storage.items.key);
+        expect(draft.version).eql("v1");
+        expect(draft.formData).eql({ a: 1 });
+        expect(draft.savedAt).to.be.a("string");
+      });
+    });
+
+    it("should reject when the storage fails", () => {
+      const storage = {
+        ...createStorage(),
+        setItem() {
+          throw new Error("Quota exceeded");
+        },
+      };
+
+      return saveDraft(storage, "key", "v1", {}).then(
+        () => {
+          throw new Error("Should have failed");
+        },
+        error => expect(error.message).eql("Quota exceeded")
+      );
+    });
+  });
+
+  describe("loadDraft()", () => {
+    it("should load the saved draft", () => {
+      const storage = createStorage();
+
+      return saveDraft(storage, "key", "v1", { a: 1 })
+        .then(() => loadDraft(storage, "key", "v1"))
+        .then(draft => expect(draft.formData).eql({ a: 1 }));
+    });
+
+    it("should support the asynchronous storages", () => {
+      const items = {};
+      const storage = createStorage(items);
+      const asyncStorage = {
+        getItem: key => Promise.resolve(storage.getItem(key)),
+        setItem: (key, value) => Promise.resolve(storage.setItem(key, value)),
+        removeItem: key => Promise.resolve(storage.removeItem(key)),
+      };
+
+      return saveDraft(asyncStorage, "key", "v1", { a: 1 })
+        .then(() => loadDraft(asyncStorage, "key", "v1"))
+        .then(draft => expect(draft.formData).eql({ a: 1 }));
+    });
+
+    it("should resolve with null when there's no draft", () => {
+      return loadDraft(createStorage(), "key", "v1").then(draft =>
+        expect(draft).eql(null)
+      );
+    });
+
+    it("should ignore the invalid drafts", () => {
+      const storage = createStorage({ key: "{" });
+
+      return loadDraft(storage, "key", "v1").then(draft =>
+        expect(draft).eql(null)
+      );
+    });
+
+    it("should drop the drafts of another version", () => {
+      const storage = createStorage();
+
+      return saveDraft(storage, "key", "v1", { a: 1 })
+        .then(() => loadDraft(storage, "key", "v2"))
+        .then(draft => {
+          expect(draft).eql(null);
+          expect(storage.items).eql({});
+        });
+    });
+
+    it("should migrate the drafts of another version", () => {
+      const storage = createStorage();
+      const migrate = (formData, version) =>
+        (version === "v1" ? { b: formData.a } : undefined);
+
+      return saveDraft(storage, "key", "v1", { a: 1 })
+        .then(() => loadDraft(storage, "key", "v2", migrate))
+        .then(draft => expect(draft.formData).eql({ b: 1 }));
+    });
+
+    it("should drop the drafts which fail to be migrated", () => {
+      const storage = createStorage();
+      const migrate = () => {
+        throw new Error("Unknown version");
+      };
+
+      return saveDraft(storage, "key", "v1", { a: 1 })
+        .then(() => loadDraft(storage, "key", "v2", migrate))
+        .then(draft => expect(draft).eql(null));
+    });
+  });
+
+  describe("removeDraft()", () => {
+    it("should remove the draft", () => {
+      const storage = createStorage({ key: "{}" });
+
+      return removeDraft(storage, "key").then(() =>
+        expect(storage.items).eql({})
+      );
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import { expect } from "chai";
+import { Simulate } from "react-addons-test-utils";
+
+import { createTranslate, interpolate, localizeValidator } from "../src/i18n";
+import de from "../src/locales/de";
+import en from "../src/locales/en";
+import es from "../src/locales/es";
+import fr from "../src/locales/fr";
+import jsonschemaValidator from "../src/validators/jsonschema";
+import createAjvValidator from "../src/validators/ajv";
+import { createFormComponent, createSandbox } from "./test_utils";
+
+describe("i18n", () => {
+  describe("interpolate()", () => {
+    it("should replace the placeholders with the params", () => {
+      expect(interpolate("{a} and {b}", { a: 1, b: "two" })).eql("1 and two");
+    });
+
+    it("should join the list params", () => {
+      expect(interpolate("one of {values}", { values: ["a", "b"] })).eql(
+        "one of a, b"
+      );
+    });
+
+    it("should leave the unknown placeholders untouched", () => {
+      expect(interpolate("{a} and {b}", { a: 1 })).eql("1 and {b}");
+    });
+  });
+
+  describe("createTranslate()", () => {
+    it("should translate the messages of the locale", () => {
+      const translate = createTranslate(fr);
+
+      expect(translate("Errors")).eql("Erreurs");
+      expect(translate("Option {index}", { index: 2 })).eql("Option 2");
+    });
+
+    it("should fall back to the untranslated messages", () => {
+      const translate = createTranslate({ messages: {} });
+
+      expect(translate("Option {index}", { index: 2 })).eql("Option 2");
+    });
+  });
+
+  describe("localizeValidator()", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 3 },
+        code: { type: "string", not: { enum: ["x"] } },
+      },
+    };
+    const formData = { name: "ab", code: "x" };
+
+    it("should use the message templates of the locale", () => {
+      const validator = localizeValidator(jsonschemaValidator, fr);
+
+      expect(validator(formData, schema)[0].message).eql(
+        "doit contenir au moins 3 caractères"
+      );
+    });
+
+    it("should give the same messages for all the validators", () => {
+      const validator = localizeValidator(createAjvValidator(), en);
+
+      expect(validator(formData, schema)[0].message).eql(
+        "must be at least 3 characters long"
+      );
+    });
+
+    it("should keep the messages of the other keywords", () => {
+      const validator = localizeValidator(jsonschemaValidator, {
+        errors: { minLength: "Too short" },
+      });
+
+      expect(validator(formData, schema).map(error => error.message)).eql([
+        "Too short",
+        jsonschemaValidator(formData, schema)[1].message,
+      ]);
+    });
+  });
+
+  describe("Bundled locales", () => {
+    [["de", de], ["es", es], ["fr", fr]].forEach(([code, locale]) => {
+      it(`should translate all the messages in ${code}`, () => {
+        expect(Object.keys(locale.messages).sort()).eql(
+          Object.keys(en.messages).sort()
+        );
+        expect(Object.keys(locale.errors).sort()).eql(
+          Object.keys(en.errors).sort()
+        );
+      });
+    });
+  });
+
+  describe("Form integration", () => {
+    let sandbox;
+
+    beforeEach(() => {
+      sandbox = createSandbox();
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    it("should translate the built-in strings", () => {
+      const { node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: {
+            done: { type: "boolean" },
+            date: { type: "string", format: "date" },
+          },
+        },
+        uiSchema: {
+          done: { "ui:widget": "radio" },
+          date: { "ui:widget": "alt-date" },
+        },
+        locale: fr,
+      });
+
+      expect(
+        [].map.call(
+          node.querySelectorAll(".field-radio-group span span"),
+          n => n.textContent
+        )
+      ).eql(["oui", "non"]);
+      expect(node.querySelector("#root_date_year option").textContent).eql(
+        "année"
+      );
+      expect(node.querySelector(".btn-now").textContent).eql("Maintenant");
+      expect(node.querySelector("button[type=submit]").textContent).eql(
+        "Envoyer"
+      );
+    });
+
+    it("should translate the validation messages", () => {
+      const { node } = createFormComponent({
+        schema: { type: "string", minLength: 3 },
+        formData: "ab",
+        locale: fr,
+        onError: () => {},
+      });
+
+      Simulate.submit(node);
+
+      expect(node.querySelector(".errors .panel-title").textContent).eql(
+        "Erreurs"
+      );
+      expect(node.querySelector(".error-detail li").textContent).eql(
+        "doit contenir au moins 3 caractères"
+      );
+    });
+
+    it("should use the provided translate function", () => {
+      const translate = (message, params) =>
+        `[${interpolate(message, params)}]`;
+      const { node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: { a: { type: "string" } },
+          additionalProperties: { type: "string" },
+        },
+        formData: { b: "x" },
+        translate,
+      });
+
+      expect(node.querySelector(".form-additional-key label").textContent).eql(
+        "[Key]"
+      );
+      expect(node.querySelector("button[type=submit]").textContent).eql(
+        "[Submit]"
+      );
+    });
+
+    it("should translate the property name errors", () => {
+      const { node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: { a: { type: "string" } },
+          additionalProperties: { type: "string" },
+        },
+        formData: { b: "x" },
+        locale: fr,
+      });
+
+      const input = node.querySelector("#root_b__key");
+      Simulate.change(input, { target: { value: "a" } });
+      Simulate.blur(input);
+
+      expect(
+        node.querySelector(".form-additional-key .help-block").textContent
+      ).eql("Le nom de propriété « a » est déjà utilisé");
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { expect } from "chai";
+import sinon from "sinon";
+
+import {
+  bundleSchema,
+  getMissingDocuments,
+  loadSchemaDocuments,
+  resolveUri,
+} from "../src/refs";
+
+describe("refs", () => {
+  describe("resolveUri()", () => {
+    it("should resolve a relative uri against an absolute one", () => {
+      const base = "https://schemas.example/forms/user.json";
+
+      expect(resolveUri(base, "address.json")).eql(
+        "https://schemas.example/forms/address.json"
+      );
+      expect(resolveUri(base, "../types/name.json")).eql(
+        "https://schemas.example/types/name.json"
+      );
+      expect(resolveUri(base, "/common.json")).eql(
+        "https://schemas.example/common.json"
+      );
+    });
+
+    it("should resolve a relative uri against a relative one", () => {
+      expect(resolveUri("forms/user.json", "./address.json")).eql(
+        "forms/address.json"
+      );
+      expect(resolveUri("", "common.json")).eql("common.json");
+    });
+
+    it("should keep absolute uris", () => {
+      expect(
+        resolveUri("https://schemas.example/a.json", "http://other.example/b")
+      ).eql("http://other.example/b");
+    });
+  });
+
+  describe("getMissingDocuments()", () => {
+    it("should ignore local references", () => {
+      const schema = {
+        definitions: { foo: { type: "string" } },
+        properties: {
+          foo: { $ref: "#/definitions/foo" },
+          bar: { $ref: "#/properties/foo" },
+        },
+      };
+
+      expect(getMissingDocuments(schema)).eql([]);
+    });
+
+    it("should list the documents referenced by the loaded ones", () => {
+      const schema = {
+        properties: {
+          foo: { $ref: "a.json#/definitions/foo" },
+          bar: { $ref: "a.json#/definitions/bar" },
+        },
+      };
+      const documents = {
+        "a.json": { definitions: { foo: { $ref: "b.json" } } },
+      };
+
+      expect(getMissingDocuments(schema)).eql(["a.json"]);
+      expect(getMissingDocuments(schema, documents)).eql(["b.json"]);
+    });
+
+    it("should not look for references in data keywords", () => {
+      const schema = {
+        type: "object",
+        default: { $ref: "a.json" },
+      };
+
+      expect(getMissingDocuments(schema)).eql([]);
+    });
+  });
+
+  describe("loadSchemaDocuments()", () => {
+    it("should recursively load the referenced documents", () => {
+      const documents = {
+        "a.json": { definitions: { foo: { $ref: "b.json" } } },
+        "b.json": { type: "string" },
+      };
+      const schemaLoader = uri => Promise.resolve(documents[uri]);
+
+      return loadSchemaDocuments(
+        { $ref: "a.json#/definitions/foo" },
+        schemaLoader
+      ).then(loaded => {
+        expect(loaded).eql(documents);
+      });
+    });
+
+    it("should cache the documents per loader", () => {
+      const schemaLoader = sinon.spy(() => ({ type: "string" }));
+      const schema = { $ref: "cached.json" };
+
+      return loadSchemaDocuments(schema, schemaLoader)
+        .then(() => loadSchemaDocuments(schema, schemaLoader))
+        .then(() => {
+          sinon.assert.calledOnce(schemaLoader);
+        });
+    });
+
+    it("should not cache failures", () => {
+      const schemaLoader = sinon.stub();
+      schemaLoader.onFirstCall().returns(Promise.reject(new Error("Oops")));
+      schemaLoader.onSecondCall().returns(Promise.resolve({ type: "string" }));
+      const schema = { $ref: "failing.json" };
+
+      return loadSchemaDocuments(schema, schemaLoader)
+        .catch(error => {
+          expect(error.message).eql("Oops");
+          return loadSchemaDocuments(schema, schemaLoader);
+        })
+        .then(loaded => {
+          expect(loaded).eql({ "failing.json": { type: "string" } });
+        });
+    });
+  });
+
+  describe("bundleSchema()", () => {
+    it("should leave local definition references untouched", () => {
+      const schema = {
+        definitions: { foo: { type: "string" } },
+        properties: {
+          foo: { $ref: "#/definitions/foo" },
+          bar: { $ref: "#bar" },
+        },
+      };
+
+      expect(bundleSchema(schema)).eql(schema);
+    });
+
+    it("should return the schema itself when there's nothing to rewrite", () => {
+      const schema = {
+        definitions: { foo: { type: "string" } },
+        properties: { foo: { $ref: "#/definitions/foo" } },
+      };
+
+      expect(bundleSchema(schema, {})).to.equal(schema);
+    });
+
+    it("should return the same bundle for the same schema and documents", () => {
+      const schema = {
+        properties: {
+          foo: { type: "string" },
+          bar: { $ref: "#/properties/foo" },
+        },
+      };
+      const documents = {};
+
+      expect(bundleSchema(schema, documents)).to.equal(
+        bundleSchema(schema, documents)
+      );
+      expect(bundleSchema(schema, documents)).not.to.equal(
+        bundleSchema(schema, {})
+      );
+    });
+
+    it("should expose arbitrary pointers as definitions", () => {
+      const schema = {
+        properties: {
+          foo: { type: "string" },
+          bar: { $ref: "#/properties/foo" },
+        },
+      };
+
+      expect(bundleSchema(schema)).eql({
+        properties: {
+          foo: { type: "string" },
+          bar: { $ref: "#/definitions/root:~1properties~1foo" },
+        },
+        definitions: {
+          "root:/properties/foo": { type: "string" },
+        },
+      });
+    });
+
+    it("should embed the external documents in the definitions", () => {
+      const schema = {
+        $id: "https://schemas.example/user.json",
+        properties: {
+          address: { $ref: "common.json#/definitions/address" },
+          name: { $ref: "common.json#name" },
+        },
+      };
+      const documents = {
+        "https://schemas.example/common.json": {
+          $id: "https://schemas.example/common.json",
+          definitions: {
+            address: {
+              properties: { zip: { $ref: "#/definitions/zip" } },
+            },
+            zip: { type: "string" },
+            name: { $id: "#name", type: "string" },
+          },
+        },
+      };
+      const prefix = "#/definitions/https:~1~1schemas.example~1common.json";
+
+      expect(bundleSchema(schema, documents)).eql({
+        $id: "https://schemas.example/user.json",
+        properties: {
+          address: { $ref: `${prefix}/definitions/address` },
+          name: { $ref: `${prefix}/definitions/name` },
+        },
+        definitions: {
+          "https://schemas.example/common.json": {
+            definitions: {
+              address: {
+                properties: { zip: { $ref: `${prefix}/definitions/zip` } },
+              },
+              zip: { type: "string" },
+              name: { $id: "#name", type: "string" },
+            },
+          },
+        },
+      });
+    });
+
+    it("should leave the references to unknown documents untouched", () => {
+      const schema = { properties: { foo: { $ref: "unknown.json" } } };
+
+      expect(bundleSchema(schema)).eql(schema);
+    });
+  });
+});
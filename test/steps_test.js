@@ -0,0 +1,365 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { Simulate } from "react-addons-test-utils";
+
+import {
+  getFieldStep,
+  getStepData,
+  getStepErrors,
+  getStepFields,
+  getStepSchema,
+  getSteps,
+  mergeStepData,
+} from "../src/steps";
+import createAjvValidator from "../src/validators/ajv";
+import { createFormComponent, createSandbox } from "./test_utils";
+
+describe("Steps", () => {
+  const schema = {
+    type: "object",
+    required: ["email", "name"],
+    properties: {
+      email: { type: "string", format: "email" },
+      password: { type: "string", minLength: 8 },
+      name: { type: "string" },
+      bio: { type: "string" },
+    },
+    additionalProperties: { type: "string" },
+  };
+  const steps = getSteps({
+    "ui:steps": [
+      { title: "Account", fields: ["email", "password"] },
+      { title: "Profile", fields: ["name", "*"] },
+    ],
+  });
+  const formData = { email: "a@b.c", name: "Ann", bio: "Hi", extra: "x" };
+
+  describe("getSteps()", () => {
+    it("should return null without steps", () => {
+      expect(getSteps({})).eql(null);
+    });
+
+    it("should accept lists of fields", () => {
+      expect(getSteps({ "ui:steps": [["a"], ["b"]] })).eql([
+        { fields: ["a"] },
+        { fields: ["b"] },
+      ]);
+    });
+  });
+
+  describe("getStepFields()", () => {
+    it("should return the fields of the step", () => {
+      expect(getStepFields(steps, 0, schema, formData)).eql([
+        "email",
+        "password",
+      ]);
+    });
+
+    it("should render the fields of no step on the last one", () => {
+      const stepsWithoutWildcard = getSteps({
+        "ui:steps": [["email", "password"], ["name"]],
+      });
+
+      expect(getStepFields(stepsWithoutWildcard, 1, schema, formData)).eql([
+        "name",
+        "bio",
+        "extra",
+      ]);
+    });
+
+    it("should replace the wildcard by the fields of no other step", () => {
+      expect(getStepFields(steps, 1, schema, formData)).eql([
+        "name",
+        "bio",
+        "extra",
+      ]);
+    });
+  });
+
+  describe("getStepSchema()", () => {
+    it("should only declare the properties of the step", () => {
+      const stepSchema = getStepSchema(steps, 0, schema, formData);
+
+      expect(Object.keys(stepSchema.properties)).eql(["email", "password"]);
+      expect(stepSchema.required).eql(["email"]);
+      expect(stepSchema).not.to.have.property("additionalProperties");
+    });
+
+    it("should keep the additional properties on the wildcard step", () => {
+      const stepSchema = getStepSchema(steps, 1, schema, formData);
+
+      expect(Object.keys(stepSchema.properties)).eql(["name", "bio"]);
+      expect(stepSchema.additionalProperties).eql({ type: "string" });
+    });
+
+    it("should resolve the schema against the whole data", () => {
+      const dependentSchema = {
+        ...schema,
+        dependencies: {
+          email: { properties: { newsletter: { type: "boolean" } } },
+        },
+      };
+
+      expect(
+        getStepSchema(steps, 1, dependentSchema, formData).properties
+      ).to.have.property("newsletter");
+    });
+  });
+
+  describe("getStepErrors()", () => {
+    const errors = [
+      { name: "required", path: [], params: { missingProperty: "email" } },
+      { name: "minLength", path: ["password"], params: {} },
+      { name: "type", path: ["extra"], params: {} },
+      { name: "additionalProperties", path: [], params: {} },
+      { name: "minProperties", path: [], params: {} },
+    ];
+
+    it("should only keep the errors of the step fields", () => {
+      expect(
+        getStepErrors(steps, 0, schema, formData, errors).map(e => e.name)
+      ).eql(["required", "minLength"]);
+    });
+
+    it("should keep the undeclared property errors on the wildcard step", () => {
+      expect(
+        getStepErrors(steps, 1, schema, formData, errors).map(e => e.name)
+      ).eql(["type", "additionalProperties"]);
+    });
+  });
+
+  describe("getStepData() and mergeStepData()", () => {
+    it("should only return the data of the step", () => {
+      expect(getStepData(steps, 0, schema, formData)).eql({ email: "a@b.c" });
+    });
+
+    it("should merge the data of the step back", () => {
+      expect(
+        mergeStepData(steps, 1, schema, formData, { name: "Bob", other: "y" })
+      ).eql({ email: "a@b.c", name: "Bob", other: "y" });
+    });
+  });
+
+  describe("getFieldStep()", () => {
+    it("should return the step of a field", () => {
+      expect(getFieldStep(steps, schema, formData, ["password"])).eql(0);
+      expect(getFieldStep(steps, schema, formData, ["extra"])).eql(1);
+    });
+
+    it("should return -1 for the root field", () => {
+      expect(getFieldStep(steps, schema, formData, [])).eql(-1);
+    });
+  });
+
+  describe("Form integration", () => {
+    let sandbox;
+
+    beforeEach(() => {
+      sandbox = createSandbox();
+    });
+
+    afterEach(() => {
+      sandbox.restore();
+    });
+
+    const uiSchema = {
+      "ui:steps": [
+        { title: "Account", fields: ["email", "password"] },
+        { title: "Profile", fields: ["name", "*"] },
+      ],
+    };
+
+    const getInputIds = node =>
+      [].map.call(node.querySelectorAll("input"), input => input.id);
+
+    it("should only render the fields of the current step", () => {
+      const { node } = createFormComponent({ schema, uiSchema });
+
+      expect(getInputIds(node)).eql(["root_email", "root_password"]);
+      expect(node.querySelector("button[type=submit]").textContent).eql("Next");
+    });
+
+    it("should render the progress of the steps", () => {
+      const { node } = createFormComponent({ schema, uiSchema });
+
+      const items = node.querySelectorAll(".form-steps li");
+      expect([].map.call(items, li => li.textContent)).eql([
+        "Account",
+        "Profile",
+      ]);
+      expect(items[0].className).eql("active");
+    });
+
+    it("should not move on while the step is invalid", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData: { password: "short" },
+      });
+
+      Simulate.submit(node);
+
+      expect(comp.state.step).eql(0);
+      expect(
+        [].map.call(node.querySelectorAll(".error-detail li"), li => {
+          return li.textContent;
+        })
+      ).eql(["does not meet minimum length of 8", 'requires property "email"']);
+    });
+
+    it("should only validate the fields of the step", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData: { email: "a@b.c" },
+      });
+
+      Simulate.submit(node);
+
+      expect(comp.state.step).eql(1);
+      expect(comp.state.errors).eql([]);
+      expect(getInputIds(node)).eql(["root_name", "root_bio"]);
+      expect(node.querySelector(".form-steps li").className).eql("done");
+    });
+
+    it("should validate the steps of a schema having an $id with Ajv", () => {
+      const { comp, node } = createFormComponent({
+        schema: { ...schema, $id: "http://example.com/account.json" },
+        uiSchema,
+        formData: { password: "short" },
+        validator: createAjvValidator(),
+      });
+
+      Simulate.submit(node);
+      Simulate.change(node.querySelector("#root_email"), {
+        target: { value: "a@b.c" },
+      });
+      Simulate.submit(node);
+
+      expect(comp.state.step).eql(0);
+      expect(comp.state.errors.map(error => error.name)).eql(["minLength"]);
+    });
+
+    it("should render the dependent fields no step lists", () => {
+      const onError = sandbox.spy();
+      const { comp, node } = createFormComponent({
+        schema: {
+          type: "object",
+          properties: { email: { type: "string" } },
+          dependencies: {
+            email: {
+              properties: { confirm: { type: "string" } },
+              required: ["confirm"],
+            },
+          },
+        },
+        uiSchema: { "ui:steps": [["email"], []] },
+        formData: { email: "a@b.c" },
+        onError,
+      });
+
+      Simulate.submit(node);
+      Simulate.submit(node);
+
+      expect(comp.state.step).eql(1);
+      expect(node.querySelector("#root_confirm")).not.eql(null);
+      sinon.assert.calledOnce(onError);
+    });
+
+    it("should keep the data of the other steps", () => {
+      const onChange = sandbox.spy();
+      const { node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData: { email: "a@b.c" },
+        onChange,
+      });
+
+      Simulate.submit(node);
+      Simulate.change(node.querySelector("#root_name"), {
+        target: { value: "Ann" },
+      });
+
+      sinon.assert.calledWithMatch(onChange.lastCall, {
+        formData: { email: "a@b.c", name: "Ann" },
+      });
+    });
+
+    it("should go back to the previous step", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData: { email: "a@b.c" },
+      });
+
+      Simulate.submit(node);
+      Simulate.click(node.querySelector(".btn-step-back"));
+
+      expect(comp.state.step).eql(0);
+      expect(node.querySelector("#root_email").value).eql("a@b.c");
+    });
+
+    it("should validate everything on the final submission", () => {
+      const onSubmit = sandbox.spy();
+      const onError = sandbox.spy();
+      const validate = (formData, errors) => {
+        if (formData.email === "taken@b.c") {
+          errors.email.addError("is already registered");
+        }
+        return errors;
+      };
+      const { comp, node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData: { email: "taken@b.c" },
+        validate,
+        onSubmit,
+        onError,
+      });
+
+      Simulate.submit(node);
+      Simulate.change(node.querySelector("#root_name"), {
+        target: { value: "Ann" },
+      });
+      Simulate.submit(node);
+
+      sinon.assert.notCalled(onSubmit);
+      sinon.assert.calledOnce(onError);
+      // The form goes back to the first step with errors.
+      expect(comp.state.step).eql(0);
+      expect(node.querySelector(".error-detail li").textContent).eql(
+        "is already registered"
+      );
+    });
+
+    it("should submit the whole data", () => {
+      const onSubmit = sandbox.spy();
+      const { node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData: { email: "a@b.c", name: "Ann" },
+        onSubmit,
+      });
+
+      Simulate.submit(node);
+      Simulate.submit(node);
+
+      sinon.assert.calledWithMatch(onSubmit, {
+        formData: { email: "a@b.c", name: "Ann" },
+      });
+    });
+
+    it("should show the step of the focused field", () => {
+      const { comp, node } = createFormComponent({
+        schema,
+        uiSchema,
+        formData: { email: "a@b.c" },
+      });
+
+      comp.focus("/bio");
+
+      expect(comp.state.step).eql(1);
+      expect(document.activeElement).to.equal(node.querySelector("#root_bio"));
+    });
+  });
+});
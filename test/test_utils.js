@@ -30,3 +30,18 @@ export function setProps(comp, newProps) {
   const node = findDOMNode(comp);
   render(React.createElement(comp.constructor, newProps), node.parentNode);
 }
+
+export function createStorage(items = {}) {
+  return {
+    items,
+    getItem(key) {
+      return items.hasOwnProperty(key) ? items[key] : null;
+    },
+    setItem(key, value) {
+      items[key] = value;
+    },
+    removeItem(key) {
+      delete items[key];
+    },
+  };
+}
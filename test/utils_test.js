@@ -4,10 +4,16 @@ import {
   asNumber,
   dataURItoBlob,
   deepEquals,
+  getAdditionalProperties,
+  getAdditionalPropertySchema,
+  getClassName,
   getDefaultFormState,
+  getErrorFieldId,
   isFilesArray,
   isMultiSelect,
+  isRecursiveReference,
   mergeObjects,
+  mergeSchemas,
   pad,
   parseDateString,
   retrieveSchema,
@@ -29,6 +35,32 @@ describe("utils", () => {
       });
     });
 
+    describe("null default", () => {
+      it("should default null fields to null", () => {
+        expect(
+          getDefaultFormState({
+            type: "object",
+            properties: {
+              a: { type: "null" },
+              b: { type: "null" },
+            },
+          })
+        ).to.eql({ a: null, b: null });
+      });
+    });
+
+    describe("unresolvable keywords", () => {
+      it("should ignore an allOf which isn't a list of subschemas", () => {
+        expect(
+          getDefaultFormState({
+            type: "string",
+            default: "foo",
+            allOf: { type: "string" },
+          })
+        ).to.eql("foo");
+      });
+    });
+
     describe("nested default", () => {
       it("should map schema object prop default to form state", () => {
         expect(
@@ -240,6 +272,62 @@ describe("utils", () => {
         });
       });
     });
+
+    describe("schema dependencies", () => {
+      it("should compute the defaults of the dependent properties", () => {
+        const schema = {
+          type: "object",
+          properties: {
+            a: { type: "string" },
+          },
+          dependencies: {
+            a: {
+              properties: {
+                b: { type: "integer", default: 42 },
+              },
+            },
+          },
+        };
+
+        expect(getDefaultFormState(schema, {})).eql({ a: undefined });
+        expect(getDefaultFormState(schema, { a: "foo" })).eql({
+          a: "foo",
+          b: 42,
+        });
+      });
+    });
+
+    describe("recursive schemas", () => {
+      const definitions = {
+        category: {
+          type: "object",
+          properties: {
+            name: { type: "string", default: "unnamed" },
+            parent: { $ref: "#/definitions/category" },
+          },
+        },
+      };
+      const schema = { $ref: "#/definitions/category" };
+
+      it("should not expand recursive references without data", () => {
+        expect(getDefaultFormState(schema, undefined, definitions)).eql({
+          name: "unnamed",
+          parent: undefined,
+        });
+      });
+
+      it("should compute the defaults as deep as the data goes", () => {
+        expect(
+          getDefaultFormState(schema, { parent: { parent: {} } }, definitions)
+        ).eql({
+          name: "unnamed",
+          parent: {
+            name: "unnamed",
+            parent: { name: "unnamed", parent: undefined },
+          },
+        });
+      });
+    });
   });
 
   describe("asNumber()", () => {
@@ -269,6 +357,116 @@ describe("utils", () => {
     });
   });
 
+  describe("getAdditionalPropertySchema()", () => {
+    const schema = {
+      type: "object",
+      properties: { foo: { type: "string" } },
+      patternProperties: { "^n_": { type: "number" } },
+      additionalProperties: { type: "boolean" },
+    };
+
+    it("should return the schema of a matching pattern", () => {
+      expect(getAdditionalPropertySchema(schema, "n_bar")).eql({
+        type: "number",
+      });
+    });
+
+    it("should fall back to the additionalProperties schema", () => {
+      expect(getAdditionalPropertySchema(schema, "bar")).eql({
+        type: "boolean",
+      });
+    });
+
+    it("should return undefined when no extra key is allowed", () => {
+      expect(
+        getAdditionalPropertySchema({ additionalProperties: false }, "bar")
+      ).eql(undefined);
+    });
+
+    it("should type the values allowed by additionalProperties: true", () => {
+      const schema = { additionalProperties: true };
+
+      expect(getAdditionalPropertySchema(schema, "bar", 1)).eql({
+        type: "number",
+      });
+      expect(getAdditionalPropertySchema(schema, "bar", [true])).eql({
+        type: "array",
+        items: { type: "boolean" },
+      });
+      expect(getAdditionalPropertySchema(schema, "bar", { a: 1 })).eql({
+        type: "object",
+        additionalProperties: true,
+      });
+      expect(getAdditionalPropertySchema(schema, "bar")).eql({
+        type: "string",
+      });
+    });
+  });
+
+  describe("getAdditionalProperties()", () => {
+    it("should list the undeclared keys having a value schema", () => {
+      const schema = {
+        type: "object",
+        properties: { foo: { type: "string" } },
+        patternProperties: { "^n_": { type: "number" } },
+      };
+
+      expect(
+        getAdditionalProperties(schema, { foo: "a", n_bar: 1, baz: true })
+      ).eql(["n_bar"]);
+    });
+  });
+
+  describe("isRecursiveReference()", () => {
+    const definitions = {
+      category: {
+        type: "object",
+        properties: {
+          children: {
+            type: "array",
+            items: { $ref: "#/definitions/category" },
+          },
+        },
+      },
+      expression: {
+        oneOf: [{ $ref: "#/definitions/sum" }, { type: "number" }],
+      },
+      sum: {
+        type: "object",
+        properties: {
+          left: { $ref: "#/definitions/expression" },
+          right: { $ref: "#/definitions/expression" },
+        },
+      },
+      address: {
+        type: "object",
+        properties: {
+          city: { $ref: "#/definitions/city" },
+        },
+      },
+      city: { type: "string" },
+    };
+
+    it("should detect a definition referencing itself", () => {
+      expect(
+        isRecursiveReference({ $ref: "#/definitions/category" }, definitions)
+      ).eql(true);
+    });
+
+    it("should detect indirectly recursive definitions", () => {
+      expect(
+        isRecursiveReference({ $ref: "#/definitions/sum" }, definitions)
+      ).eql(true);
+    });
+
+    it("should not flag non recursive definitions", () => {
+      expect(
+        isRecursiveReference({ $ref: "#/definitions/address" }, definitions)
+      ).eql(false);
+      expect(isRecursiveReference({ type: "string" }, definitions)).eql(false);
+    });
+  });
+
   describe("isMultiSelect()", () => {
     it("should be true if schema items enum is an array and uniqueItems is true", () => {
       let schema = { items: { enum: ["foo", "bar"] }, uniqueItems: true };
@@ -376,6 +574,102 @@ describe("utils", () => {
     });
   });
 
+  describe("mergeSchemas()", () => {
+    it("should unite properties and concatenate required lists", () => {
+      expect(
+        mergeSchemas(
+          {
+            type: "object",
+            properties: { a: { type: "string" } },
+            required: ["a"],
+          },
+          {
+            properties: { b: { type: "number" } },
+            required: ["a", "b"],
+          }
+        )
+      ).eql({
+        type: "object",
+        properties: { a: { type: "string" }, b: { type: "number" } },
+        required: ["a", "b"],
+      });
+    });
+
+    it("should merge the schemas of common properties", () => {
+      expect(
+        mergeSchemas(
+          { properties: { a: { type: "string", minLength: 2 } } },
+          { properties: { a: { maxLength: 5, minLength: 3 } } }
+        )
+      ).eql({
+        properties: { a: { type: "string", minLength: 3, maxLength: 5 } },
+      });
+    });
+
+    it("should intersect numeric bounds", () => {
+      expect(
+        mergeSchemas(
+          { minimum: 1, maximum: 10, maxItems: 3 },
+          { minimum: 5, maximum: 20, minItems: 1 }
+        )
+      ).eql({ minimum: 5, maximum: 10, maxItems: 3, minItems: 1 });
+    });
+
+    it("should intersect draft-06 exclusive bounds", () => {
+      expect(
+        mergeSchemas(
+          { exclusiveMinimum: 1, exclusiveMaximum: 10 },
+          { exclusiveMinimum: 5, exclusiveMaximum: 20 }
+        )
+      ).eql({ exclusiveMinimum: 5, exclusiveMaximum: 10 });
+    });
+
+    it("should keep the draft-04 exclusive flags of the merged bounds", () => {
+      expect(
+        mergeSchemas(
+          { minimum: 1, exclusiveMinimum: true, maximum: 10 },
+          { minimum: 5, maximum: 10, exclusiveMaximum: true }
+        )
+      ).eql({
+        minimum: 5,
+        exclusiveMinimum: false,
+        maximum: 10,
+        exclusiveMaximum: true,
+      });
+    });
+
+    it("should intersect enums", () => {
+      expect(
+        mergeSchemas({ enum: ["a", "b", "c"] }, { enum: ["c", "b", "d"] })
+      ).eql({ enum: ["b", "c"] });
+    });
+
+    it("should intersect types", () => {
+      expect(
+        mergeSchemas({ type: ["string", "null"] }, { type: "string" })
+      ).eql({ type: "string" });
+    });
+
+    it("should keep the conditionals apart", () => {
+      expect(
+        mergeSchemas(
+          { if: { minLength: 1 }, then: { maxLength: 3 } },
+          { if: { minLength: 5 }, else: { pattern: "x" } }
+        )
+      ).eql({
+        if: { minLength: 1 },
+        then: { maxLength: 3 },
+        allOf: [{ if: { minLength: 5 }, else: { pattern: "x" } }],
+      });
+    });
+
+    it("should let the right schema win for other keywords", () => {
+      expect(mergeSchemas({ title: "a" }, { title: "b" })).eql({
+        title: "b",
+      });
+    });
+  });
+
   describe("retrieveSchema()", () => {
     it("should 'resolve' a schema which contains definitions", () => {
       const schema = { $ref: "#/definitions/address" };
@@ -742,6 +1036,254 @@ describe("utils", () => {
         title: "foo",
       });
     });
+
+    describe("allOf", () => {
+      it("should merge the allOf subschemas", () => {
+        const schema = {
+          title: "local",
+          allOf: [
+            { $ref: "#/definitions/base" },
+            { properties: { b: { type: "number" } }, required: ["b"] },
+          ],
+        };
+        const definitions = {
+          base: {
+            type: "object",
+            title: "base",
+            properties: { a: { type: "string" } },
+            required: ["a"],
+          },
+        };
+
+        expect(retrieveSchema(schema, definitions)).eql({
+          type: "object",
+          title: "local",
+          properties: { a: { type: "string" }, b: { type: "number" } },
+          required: ["a", "b"],
+        });
+      });
+
+      it("should merge nested allOf subschemas", () => {
+        const schema = {
+          allOf: [
+            { allOf: [{ type: "integer" }, { minimum: 1 }] },
+            { maximum: 10 },
+          ],
+        };
+
+        expect(retrieveSchema(schema)).eql({
+          type: "integer",
+          minimum: 1,
+          maximum: 10,
+        });
+      });
+    });
+
+    describe("if/then/else", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          country: { type: "string" },
+          state: { type: "string" },
+        },
+        if: {
+          properties: { country: { enum: ["US"] } },
+        },
+        then: {
+          properties: { state: { enum: ["CA", "NY"] } },
+          required: ["state"],
+        },
+        else: {
+          properties: { state: { maxLength: 10 } },
+        },
+      };
+
+      it("should merge the then branch when the condition is met", () => {
+        expect(retrieveSchema(schema, {}, { country: "US" })).eql({
+          type: "object",
+          properties: {
+            country: { type: "string" },
+            state: { type: "string", enum: ["CA", "NY"] },
+          },
+          required: ["state"],
+        });
+      });
+
+      it("should merge the else branch when the condition isn't met", () => {
+        expect(retrieveSchema(schema, {}, { country: "FR" })).eql({
+          type: "object",
+          properties: {
+            country: { type: "string" },
+            state: { type: "string", maxLength: 10 },
+          },
+        });
+      });
+
+      it("should resolve the conditionals of merged subschemas apart", () => {
+        const schema = {
+          type: "object",
+          properties: { name: { type: "string" } },
+          allOf: [
+            {
+              properties: {
+                name: { if: { minLength: 1 }, then: { maxLength: 3 } },
+              },
+            },
+            {
+              properties: {
+                name: { if: { minLength: 5 }, then: { pattern: "x" } },
+              },
+            },
+          ],
+        };
+        const { properties } = retrieveSchema(schema, {}, { name: "ab" });
+
+        expect(retrieveSchema(properties.name, {}, "ab")).eql({
+          type: "string",
+          maxLength: 3,
+        });
+      });
+
+      it("should drop the conditional keywords without a branch", () => {
+        const noElse = { ...schema, else: undefined };
+
+        expect(retrieveSchema(noElse, {}, { country: "FR" })).eql({
+          type: "object",
+          properties: schema.properties,
+        });
+      });
+    });
+
+    describe("property dependencies", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          a: { type: "string" },
+          b: { type: "integer" },
+        },
+        required: ["a"],
+        dependencies: {
+          a: ["b"],
+        },
+      };
+
+      it("should not add required properties when the trigger is absent", () => {
+        expect(retrieveSchema(schema, {}, {})).eql({
+          type: "object",
+          properties: schema.properties,
+          required: ["a"],
+        });
+      });
+
+      it("should add required properties when the trigger is present", () => {
+        expect(retrieveSchema(schema, {}, { a: "1" })).eql({
+          type: "object",
+          properties: schema.properties,
+          required: ["a", "b"],
+        });
+      });
+    });
+
+    describe("schema dependencies", () => {
+      it("should merge the dependent schema when the trigger is present", () => {
+        const schema = {
+          type: "object",
+          properties: {
+            a: { type: "string" },
+          },
+          dependencies: {
+            a: {
+              properties: {
+                b: { type: "integer" },
+              },
+              required: ["b"],
+            },
+          },
+        };
+
+        expect(retrieveSchema(schema, {}, {})).eql({
+          type: "object",
+          properties: { a: { type: "string" } },
+        });
+        expect(retrieveSchema(schema, {}, { a: "1" })).eql({
+          type: "object",
+          properties: {
+            a: { type: "string" },
+            b: { type: "integer" },
+          },
+          required: ["b"],
+        });
+      });
+
+      it("should resolve referenced dependent schemas", () => {
+        const schema = {
+          type: "object",
+          properties: {
+            a: { type: "string" },
+          },
+          dependencies: {
+            a: { $ref: "#/definitions/needsB" },
+          },
+        };
+        const definitions = {
+          needsB: {
+            properties: {
+              b: { type: "integer" },
+            },
+          },
+        };
+
+        expect(retrieveSchema(schema, definitions, { a: "1" })).eql({
+          type: "object",
+          properties: {
+            a: { type: "string" },
+            b: { type: "integer" },
+          },
+        });
+      });
+
+      it("should select the oneOf subschema matching the trigger value", () => {
+        const schema = {
+          type: "object",
+          properties: {
+            a: { enum: ["int", "bool"] },
+          },
+          dependencies: {
+            a: {
+              oneOf: [
+                {
+                  properties: {
+                    a: { enum: ["int"] },
+                    b: { type: "integer" },
+                  },
+                },
+                {
+                  properties: {
+                    a: { enum: ["bool"] },
+                    b: { type: "boolean" },
+                  },
+                },
+              ],
+            },
+          },
+        };
+
+        expect(retrieveSchema(schema, {}, { a: "int" })).eql({
+          type: "object",
+          properties: {
+            a: { enum: ["int", "bool"] },
+            b: { type: "integer" },
+          },
+        });
+        expect(retrieveSchema(schema, {}, { a: "bool" })).eql({
+          type: "object",
+          properties: {
+            a: { enum: ["int", "bool"] },
+            b: { type: "boolean" },
+          },
+        });
+      });
+    });
   });
 
   describe("shouldRender", () => {
@@ -831,6 +1373,12 @@ describe("utils", () => {
       expect(toIdSchema(schema)).eql({ $id: "root" });
     });
 
+    it("should ignore an allOf which isn't a list of subschemas", () => {
+      const schema = { type: "string", allOf: { type: "string" } };
+
+      expect(toIdSchema(schema)).eql({ $id: "root" });
+    });
+
     it("should return an idSchema for nested objects", () => {
       const schema = {
         type: "object",
@@ -950,6 +1498,118 @@ describe("utils", () => {
         bar: { $id: "root_bar" },
       });
     });
+
+    it("should generate ids for the additional properties present", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          foo: { type: "string" },
+        },
+        additionalProperties: { type: "string" },
+      };
+
+      expect(toIdSchema(schema, undefined, {}, { foo: "a", bar: "b" })).eql({
+        $id: "root",
+        foo: { $id: "root_foo" },
+        bar: { $id: "root_bar" },
+      });
+    });
+
+    it("should generate ids for the dependent properties present", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          foo: { type: "string" },
+        },
+        dependencies: {
+          foo: {
+            properties: {
+              bar: { type: "string" },
+            },
+          },
+        },
+      };
+
+      expect(toIdSchema(schema, undefined, {}, {})).eql({
+        $id: "root",
+        foo: { $id: "root_foo" },
+      });
+      expect(toIdSchema(schema, undefined, {}, { foo: "x" })).eql({
+        $id: "root",
+        foo: { $id: "root_foo" },
+        bar: { $id: "root_bar" },
+      });
+    });
+
+    it("should generate ids of recursive schemas as deep as the data", () => {
+      const definitions = {
+        node: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            next: { $ref: "#/definitions/node" },
+          },
+        },
+      };
+      const schema = { $ref: "#/definitions/node" };
+
+      expect(toIdSchema(schema, undefined, definitions, {})).eql({
+        $id: "root",
+        name: { $id: "root_name" },
+        next: { $id: "root_next" },
+      });
+      expect(toIdSchema(schema, undefined, definitions, { next: {} })).eql({
+        $id: "root",
+        name: { $id: "root_name" },
+        next: {
+          $id: "root_next",
+          name: { $id: "root_next_name" },
+          next: { $id: "root_next_next" },
+        },
+      });
+    });
+  });
+
+  describe("getErrorFieldId()", () => {
+    const idSchema = toIdSchema(
+      {
+        type: "object",
+        properties: {
+          user: {
+            type: "object",
+            properties: { name: { type: "string" } },
+          },
+          tags: { type: "array", items: { type: "string" } },
+        },
+      },
+      "form"
+    );
+
+    it("should return the id of the field at the error path", () => {
+      expect(getErrorFieldId({ path: ["user", "name"] }, idSchema)).eql(
+        "form_user_name"
+      );
+    });
+
+    it("should return the id of the root field", () => {
+      expect(getErrorFieldId({ path: [] }, idSchema)).eql("form");
+    });
+
+    it("should derive the ids of array items", () => {
+      expect(getErrorFieldId({ path: ["tags", 2] }, idSchema)).eql(
+        "form_tags_2"
+      );
+    });
+
+    it("should target the missing field of required errors", () => {
+      const error = {
+        name: "required",
+        path: ["user"],
+        params: { missingProperty: "name" },
+      };
+
+      expect(getErrorFieldId(error, idSchema)).eql("form_user_name");
+    });
   });
 
   describe("parseDateString()", () => {
@@ -1030,6 +1690,18 @@ describe("utils", () => {
     });
   });
 
+  describe("getClassName()", () => {
+    it("should interpolate the class name of a part", () => {
+      expect(
+        getClassName({ button: "btn btn-{type}" }, "button", { type: "info" })
+      ).eql("btn btn-info");
+    });
+
+    it("should return an empty class name without class names", () => {
+      expect(getClassName(undefined, "button", { type: "info" })).eql("");
+    });
+  });
+
   describe("pad()", () => {
     it("should pad a string with 0s", () => {
       expect(pad(4, 3)).eql("004");
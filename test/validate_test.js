@@ -2,8 +2,14 @@ import React from "react";
 import { expect } from "chai";
 import sinon from "sinon";
 import { Simulate } from "react-addons-test-utils";
-
-import validateFormData, { toErrorList } from "../src/validate";
+import { render, unmountComponentAtNode } from "react-dom";
+
+import Form from "../src";
+import ErrorList from "../src/components/ErrorList";
+import validateFormData, {
+  toErrorList,
+  toExtraErrorSchema,
+} from "../src/validate";
 import { createFormComponent } from "./test_utils";
 
 describe("Validation", () => {
@@ -45,6 +51,45 @@ describe("Validation", () => {
       });
     });
 
+    describe("Conditional schemas", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          country: { type: "string" },
+          state: { type: "string" },
+        },
+        if: {
+          properties: { country: { enum: ["US"] } },
+        },
+        then: {
+          properties: { state: { enum: ["CA", "NY"] } },
+          required: ["state"],
+        },
+      };
+
+      it("should validate against the then branch when the if matches", () => {
+        const { errors } = validateFormData({ country: "US" }, schema);
+
+        expect(errors).to.have.length.of(1);
+        expect(errors[0].message).eql('requires property "state"');
+      });
+
+      it("should validate the merged branch constraints", () => {
+        const { errorSchema } = validateFormData(
+          { country: "US", state: "XX" },
+          schema
+        );
+
+        expect(errorSchema.state.__errors).to.have.length.of(1);
+      });
+
+      it("should skip the then branch when the if doesn't match", () => {
+        const { errors } = validateFormData({ country: "FR" }, schema);
+
+        expect(errors).to.have.length.of(0);
+      });
+    });
+
     describe("Custom validate function", () => {
       let errors, errorSchema;
 
@@ -79,6 +124,332 @@ describe("Validation", () => {
         expect(errorSchema.pass2.__errors).to.have.length.of(1);
         expect(errorSchema.pass2.__errors[0]).eql("passwords don't match.");
       });
+
+      it("should only mention the field name in the stack of schema errors", () => {
+        const { errors } = validateFormData(
+          { pass1: "a" },
+          schema,
+          (formData, errors) => errors
+        );
+
+        expect(errors[0].stack).eql('root: requires property "pass2"');
+      });
+    });
+
+    describe("Error properties", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          owner: {
+            type: "object",
+            properties: { name: { type: "string", minLength: 3 } },
+          },
+          pet: {
+            type: "object",
+            properties: { name: { type: "string" } },
+          },
+        },
+      };
+      const formData = { owner: { name: "Al" }, pet: { name: "Rex" } };
+
+      it("should expose the full paths and keyword of schema errors", () => {
+        const { errors } = validateFormData(formData, schema);
+
+        expect(errors).to.have.length.of(1);
+        expect(errors[0]).to.include({
+          name: "minLength",
+          property: "instance.owner.name",
+          dataPath: "/owner/name",
+          schemaPath: "#/properties/owner/properties/name/minLength",
+        });
+        expect(errors[0].path).eql(["owner", "name"]);
+        expect(errors[0].params).eql({ limit: 3 });
+      });
+
+      it("should point array item errors to the items schema", () => {
+        const { errors } = validateFormData(
+          { tags: ["a"] },
+          {
+            type: "object",
+            properties: {
+              tags: { type: "array", items: { type: "string", minLength: 2 } },
+            },
+          }
+        );
+
+        expect(errors[0].schemaPath).eql("#/properties/tags/items/minLength");
+      });
+
+      it("should distinguish custom errors of same-named fields", () => {
+        const validate = (formData, errors) => {
+          errors.owner.name.addError("is taken");
+          errors.pet.name.addError("is taken");
+          return errors;
+        };
+
+        const { errors } = validateFormData(
+          { owner: { name: "Alice" }, pet: { name: "Rex" } },
+          schema,
+          validate
+        );
+
+        expect(
+          errors.map(({ name, dataPath, stack }) => ({ name, dataPath, stack }))
+        ).eql([
+          { name: "custom", dataPath: "/owner/name", stack: "name: is taken" },
+          { name: "custom", dataPath: "/pet/name", stack: "name: is taken" },
+        ]);
+      });
+
+      it("should complete the errors returned by transformErrors", () => {
+        const transformErrors = () => [
+          { property: "instance.pet.name", message: "is invalid" },
+        ];
+
+        const { errors } = validateFormData(
+          formData,
+          schema,
+          undefined,
+          transformErrors
+        );
+
+        expect(errors[0]).to.include({
+          property: "instance.pet.name",
+          dataPath: "/pet/name",
+          stack: "instance.pet.name is invalid",
+        });
+        expect(errors[0].path).eql(["pet", "name"]);
+        expect(errors[0].params).eql({});
+      });
+    });
+
+    describe("Declared error messages", () => {
+      const schema = {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", minLength: 3 },
+          code: { type: "string", pattern: "^[A-Z]{2}-\\d{4}$" },
+          tags: { type: "array", items: { type: "string", maxLength: 2 } },
+        },
+      };
+
+      const validate = (formData, schema, uiSchema) =>
+        validateFormData(
+          formData,
+          schema,
+          undefined,
+          undefined,
+          undefined,
+          uiSchema
+        ).errors;
+
+      it("should use the messages declared in the uiSchema", () => {
+        const errors = validate({ name: "ab", code: "ab" }, schema, {
+          name: { "ui:errorMessages": { minLength: "Too short" } },
+          code: { "ui:errorMessages": { pattern: "Use format AB-1234" } },
+        });
+
+        expect(errors.map(error => error.message)).eql([
+          "Too short",
+          "Use format AB-1234",
+        ]);
+        expect(errors.map(error => error.stack)).eql([
+          "name: Too short",
+          "code: Use format AB-1234",
+        ]);
+      });
+
+      it("should use the messages declared in the schema", () => {
+        const errors = validate(
+          { name: "ab" },
+          {
+            ...schema,
+            properties: {
+              name: {
+                type: "string",
+                minLength: 3,
+                errorMessage: { minLength: "Too short" },
+              },
+            },
+          }
+        );
+
+        expect(errors[0].message).eql("Too short");
+      });
+
+      it("should use a single message for all the keywords", () => {
+        const errors = validate(
+          { name: 42 },
+          {
+            ...schema,
+            properties: {
+              name: { type: "string", minLength: 3, errorMessage: "Invalid" },
+            },
+          }
+        );
+
+        expect(errors.map(error => error.message)).eql(["Invalid"]);
+      });
+
+      it("should give precedence to the uiSchema messages", () => {
+        const errors = validate(
+          { name: "ab" },
+          {
+            ...schema,
+            properties: {
+              name: {
+                type: "string",
+                minLength: 3,
+                errorMessage: "From the schema",
+              },
+            },
+          },
+          { name: { "ui:errorMessages": { minLength: "From the uiSchema" } } }
+        );
+
+        expect(errors[0].message).eql("From the uiSchema");
+      });
+
+      it("should interpolate the keyword params", () => {
+        const errors = validate({ name: "ab", tags: ["abc"] }, schema, {
+          name: {
+            "ui:errorMessages": { minLength: "Use at least {limit} chars" },
+          },
+          tags: {
+            items: {
+              "ui:errorMessages": { maxLength: "Use at most {limit} {unit}" },
+            },
+          },
+        });
+
+        expect(errors.map(error => error.message)).eql([
+          "Use at least 3 chars",
+          "Use at most 2 {unit}",
+        ]);
+      });
+
+      it("should use the missing field messages for required errors", () => {
+        const errors = validate({}, schema, {
+          name: { "ui:errorMessages": { required: "Please enter a name" } },
+        });
+
+        expect(errors[0].message).eql("Please enter a name");
+        expect(errors[0].stack).eql("name: Please enter a name");
+      });
+
+      it("should use the parent messages for required errors", () => {
+        const errors = validate(
+          {},
+          { ...schema, errorMessage: { required: "Missing {missingProperty}" } }
+        );
+
+        expect(errors[0].message).eql("Missing name");
+      });
+
+      it("should keep the validator messages of other keywords", () => {
+        const errors = validate({ name: "ab" }, schema, {
+          name: { "ui:errorMessages": { pattern: "Invalid" } },
+        });
+
+        expect(errors[0].message).eql("does not meet minimum length of 3");
+      });
+    });
+
+    describe("Asynchronous custom validate function", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          username: { type: "string" },
+        },
+      };
+
+      it("should return a promise of the validation result", () => {
+        const validate = (formData, errors) =>
+          Promise.resolve().then(() => {
+            errors.username.addError("is already taken.");
+            return errors;
+          });
+
+        const result = validateFormData({ username: "bob" }, schema, validate);
+
+        return result.then(({ errors, errorSchema }) => {
+          expect(errors).eql([
+            {
+              name: "custom",
+              path: ["username"],
+              property: "instance.username",
+              dataPath: "/username",
+              params: {},
+              message: "is already taken.",
+              stack: "username: is already taken.",
+            },
+          ]);
+          expect(errorSchema.username.__errors).eql(["is already taken."]);
+        });
+      });
+
+      it("should use the provided error handler by default", () => {
+        const validate = (formData, errors) =>
+          Promise.resolve().then(() => {
+            errors.username.addError("is already taken.");
+          });
+
+        const result = validateFormData({ username: "bob" }, schema, validate);
+
+        return result.then(({ errors }) => {
+          expect(errors).eql([
+            {
+              name: "custom",
+              path: ["username"],
+              property: "instance.username",
+              dataPath: "/username",
+              params: {},
+              message: "is already taken.",
+              stack: "username: is already taken.",
+            },
+          ]);
+        });
+      });
+    });
+
+    describe("Custom validator", () => {
+      const schema = { type: "object" };
+
+      it("should build the errorSchema from the error paths", () => {
+        const validator = sinon
+          .stub()
+          .returns([{ path: ["foo", 0, "bar.baz"], message: "is invalid" }]);
+
+        const { errorSchema } = validateFormData(
+          {},
+          schema,
+          null,
+          null,
+          validator
+        );
+
+        sinon.assert.calledWithExactly(validator, {}, schema);
+        expect(errorSchema).eql({
+          foo: { 0: { "bar.baz": { __errors: ["is invalid"] } } },
+        });
+      });
+
+      it("should fall back to the error property strings", () => {
+        const validator = () => [
+          { property: "instance.foo[0]", message: "is invalid" },
+        ];
+
+        const { errorSchema } = validateFormData(
+          {},
+          schema,
+          null,
+          null,
+          validator
+        );
+
+        expect(errorSchema).eql({ foo: { 0: { __errors: ["is invalid"] } } });
+      });
     });
 
     describe("toErrorList()", () => {
@@ -95,13 +466,47 @@ describe("Validation", () => {
               __errors: ["err5"],
             },
           })
-        ).eql([
-          { stack: "root: err1" },
-          { stack: "root: err2" },
-          { stack: "b: err3" },
-          { stack: "b: err4" },
-          { stack: "c: err5" },
-        ]);
+        ).eql(
+          [
+            { stack: "root: err1", path: [], message: "err1" },
+            { stack: "root: err2", path: [], message: "err2" },
+            { stack: "b: err3", path: ["a", "b"], message: "err3" },
+            { stack: "b: err4", path: ["a", "b"], message: "err4" },
+            { stack: "c: err5", path: ["c"], message: "err5" },
+          ].map(({ stack, path, message }) => ({
+            name: "custom",
+            path,
+            property: ["instance"].concat(path).join("."),
+            dataPath: path.map(segment => `/${segment}`).join(""),
+            params: {},
+            message,
+            stack,
+          }))
+        );
+      });
+    });
+
+    describe("toExtraErrorSchema()", () => {
+      it("should convert a list of errors into an errorSchema", () => {
+        expect(
+          toExtraErrorSchema([
+            { path: [], message: "err1" },
+            { path: ["a", 0], message: "err2" },
+            { path: "/a/0", message: "err3" },
+            { path: "/b~1c", message: "err4" },
+          ])
+        ).eql({
+          __errors: ["err1"],
+          a: { 0: { __errors: ["err2", "err3"] } },
+          "b/c": { __errors: ["err4"] },
+        });
+      });
+
+      it("should return an errorSchema as is", () => {
+        const errorSchema = { a: { __errors: ["err"] } };
+
+        expect(toExtraErrorSchema(errorSchema)).eql(errorSchema);
+        expect(toExtraErrorSchema(undefined)).eql({});
       });
     });
 
@@ -457,6 +862,273 @@ describe("Validation", () => {
       });
     });
 
+    describe("Custom validator", () => {
+      it("should validate the form data with the provided validator", () => {
+        const validator = () => [
+          {
+            name: "custom",
+            path: ["foo"],
+            property: "instance.foo",
+            message: "is invalid",
+            stack: "instance.foo is invalid",
+          },
+        ];
+        const onError = sandbox.spy();
+        const { node } = createFormComponent({
+          schema: { type: "object", properties: { foo: { type: "string" } } },
+          validator,
+          onError,
+        });
+
+        Simulate.submit(node);
+
+        sinon.assert.calledWithMatch(
+          onError,
+          sinon.match(errors => errors[0].name === "custom")
+        );
+        expect(node.querySelector("#root_foo + div .error-detail")).not.eql(
+          null
+        );
+      });
+    });
+
+    describe("Asynchronous Form validation", () => {
+      const schema = { type: "string" };
+      const settle = () => new Promise(setImmediate);
+
+      function validate(formData, errors) {
+        return Promise.resolve().then(() => {
+          if (formData !== "hello") {
+            errors.addError("Invalid");
+          }
+          return errors;
+        });
+      }
+
+      it("should submit the form once the validation has settled", () => {
+        const onSubmit = sandbox.spy();
+        const { comp, node } = createFormComponent({
+          schema,
+          formData: "hello",
+          validate,
+          onSubmit,
+        });
+
+        Simulate.submit(node);
+
+        expect(comp.state.status).eql("validating");
+        sinon.assert.notCalled(onSubmit);
+
+        return settle().then(() => {
+          sinon.assert.calledWithMatch(onSubmit, { formData: "hello" });
+          expect(comp.state.status).eql("initial");
+        });
+      });
+
+      it("should report asynchronous validation errors", () => {
+        const onSubmit = sandbox.spy();
+        const onError = sandbox.spy();
+        const { comp, node } = createFormComponent({
+          schema,
+          formData: "a",
+          validate,
+          onSubmit,
+          onError,
+        });
+
+        Simulate.submit(node);
+
+        return settle().then(() => {
+          sinon.assert.notCalled(onSubmit);
+          sinon.assert.calledWithMatch(
+            onError,
+            sinon.match(errors => errors[0].stack === "root: Invalid")
+          );
+          expect(comp.state.status).eql("submitted");
+          expect(node.querySelectorAll(".error-detail li")).to.have.length.of(
+            1
+          );
+        });
+      });
+
+      it("should pass the rejection of the validation to onError", () => {
+        const onSubmit = sandbox.spy();
+        const onError = sandbox.spy();
+        const error = new Error("Unreachable");
+        const { comp, node } = createFormComponent({
+          schema,
+          formData: "hello",
+          validate: () => Promise.reject(error),
+          onSubmit,
+          onError,
+        });
+
+        Simulate.submit(node);
+
+        return settle().then(() => {
+          sinon.assert.notCalled(onSubmit);
+          sinon.assert.calledWithExactly(onError, error);
+          expect(comp.state.status).eql("initial");
+        });
+      });
+
+      it("should ignore the results for data changed since", () => {
+        const onSubmit = sandbox.spy();
+        const onError = sandbox.spy();
+        const { comp, node } = createFormComponent({
+          schema,
+          formData: "hello",
+          validate,
+          onSubmit,
+          onError,
+        });
+
+        Simulate.submit(node);
+        Simulate.change(node.querySelector("input"), {
+          target: { value: "changed" },
+        });
+
+        return settle().then(() => {
+          sinon.assert.notCalled(onSubmit);
+          sinon.assert.notCalled(onError);
+          expect(comp.state.status).eql("editing");
+        });
+      });
+
+      it("should only apply the last live validation results", () => {
+        const { comp, node } = createFormComponent({
+          schema,
+          validate,
+          liveValidate: true,
+        });
+
+        Simulate.change(node.querySelector("input"), {
+          target: { value: "a" },
+        });
+        Simulate.change(node.querySelector("input"), {
+          target: { value: "hello" },
+        });
+
+        return settle().then(() => {
+          expect(comp.state.errors).eql([]);
+        });
+      });
+    });
+
+    describe("Validation on blur", () => {
+      const schema = {
+        type: "object",
+        properties: {
+          foo: { type: "string", minLength: 3 },
+          bar: { type: "string", minLength: 3 },
+        },
+      };
+      const formData = { foo: "a", bar: "b" };
+
+      const getFieldErrors = node =>
+        [].map.call(
+          node.querySelectorAll(".has-error"),
+          field => field.querySelector("input").id
+        );
+
+      it("should only display the errors of the touched fields", () => {
+        const { comp, node } = createFormComponent({
+          schema,
+          formData,
+          validateOnBlur: true,
+        });
+
+        Simulate.blur(node.querySelector("#root_foo"), {
+          target: { value: "a" },
+        });
+
+        expect(comp.state.touched).eql({ root_foo: true });
+        expect(getFieldErrors(node)).eql(["root_foo"]);
+        expect(node.querySelector(".errors")).eql(null);
+      });
+
+      it("should display the required error of a touched empty field", () => {
+        const { comp, node } = createFormComponent({
+          schema: { ...schema, required: ["bar"] },
+          formData: { foo: "abc" },
+          validateOnBlur: true,
+        });
+
+        Simulate.blur(node.querySelector("#root_bar"), {
+          target: { value: "" },
+        });
+
+        expect(comp.state.errorSchema).eql({
+          __errors: ['requires property "bar"'],
+        });
+        expect(node.querySelector(".error-detail").textContent).eql(
+          'requires property "bar"'
+        );
+      });
+
+      it("should hide the required error of an untouched field", () => {
+        const { comp, node } = createFormComponent({
+          schema: { ...schema, required: ["bar"] },
+          formData: { foo: "a" },
+          validateOnBlur: true,
+        });
+
+        Simulate.blur(node.querySelector("#root_foo"), {
+          target: { value: "a" },
+        });
+
+        expect(Object.keys(comp.state.errorSchema)).eql(["foo"]);
+      });
+
+      it("should not validate on change", () => {
+        const { comp, node } = createFormComponent({
+          schema,
+          validateOnBlur: true,
+        });
+
+        Simulate.change(node.querySelector("#root_foo"), {
+          target: { value: "a" },
+        });
+
+        expect(comp.state.errors).eql([]);
+        expect(getFieldErrors(node)).eql([]);
+      });
+
+      it("should display all the errors once submitted", () => {
+        const { node } = createFormComponent({
+          schema,
+          formData,
+          validateOnBlur: true,
+          onError: () => {},
+        });
+
+        Simulate.submit(node);
+
+        expect(getFieldErrors(node)).eql(["root_foo", "root_bar"]);
+        expect(node.querySelectorAll(".errors li")).to.have.length.of(2);
+      });
+
+      it("should only display live validation errors of touched fields", () => {
+        const { node } = createFormComponent({
+          schema,
+          validateOnBlur: true,
+          liveValidate: true,
+        });
+
+        Simulate.blur(node.querySelector("#root_bar"), {
+          target: { value: "" },
+        });
+        Simulate.change(node.querySelector("#root_foo"), {
+          target: { value: "a" },
+        });
+        Simulate.change(node.querySelector("#root_bar"), {
+          target: { value: "b" },
+        });
+
+        expect(getFieldErrors(node)).eql(["root_bar"]);
+      });
+    });
+
     describe("showErrorList prop validation", () => {
       describe("Required fields", () => {
         const schema = {
@@ -506,6 +1178,188 @@ describe("Validation", () => {
       });
     });
 
+    describe("Error list links", () => {
+      const schema = {
+        type: "object",
+        required: ["title"],
+        properties: {
+          title: { type: "string" },
+          tasks: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                priority: { type: "string", enum: ["low", "high"] },
+              },
+            },
+          },
+          tags: {
+            type: "array",
+            items: { type: "string", minLength: 2 },
+          },
+        },
+      };
+      const formData = { tasks: [{ priority: "urgent" }], tags: ["a"] };
+      const onError = () => {};
+
+      it("should link each error to its field", () => {
+        const { node } = createFormComponent({ schema, formData, onError });
+
+        Simulate.submit(node);
+
+        const hrefs = [].map.call(node.querySelectorAll(".errors li a"), a =>
+          a.getAttribute("href")
+        );
+        expect(hrefs).eql([
+          "#root_title",
+          "#root_tasks_0_priority",
+          "#root_tags_0",
+        ]);
+      });
+
+      it("should focus the field when an error is clicked", () => {
+        const { node } = createFormComponent({ schema, formData, onError });
+
+        Simulate.submit(node);
+        Simulate.click(node.querySelectorAll(".errors li a")[2]);
+
+        expect(document.activeElement).to.equal(
+          node.querySelector("#root_tags_0")
+        );
+      });
+
+      it("should focus the first radio button of a field", () => {
+        const { node } = createFormComponent({
+          schema,
+          formData,
+          onError,
+          uiSchema: {
+            tasks: { items: { priority: { "ui:widget": "radio" } } },
+          },
+        });
+
+        Simulate.submit(node);
+        Simulate.click(node.querySelectorAll(".errors li a")[1]);
+
+        expect(document.activeElement).to.equal(
+          node.querySelector("#root_tasks_0_priority_0")
+        );
+      });
+
+      it("should not focus any field on submit by default", () => {
+        const { node } = createFormComponent({ schema, formData, onError });
+        const input = node.querySelector("#root_title");
+        input.focus();
+        input.blur();
+
+        Simulate.submit(node);
+
+        expect(document.activeElement).not.to.equal(input);
+      });
+
+      it("should focus the first invalid field in the form on submit", () => {
+        const { node } = createFormComponent({
+          schema: { ...schema, required: [] },
+          formData: { title: "a", ...formData },
+          onError,
+          focusOnFirstError: true,
+        });
+
+        Simulate.submit(node);
+
+        expect(document.activeElement).to.equal(
+          node.querySelector("#root_tasks_0_priority")
+        );
+      });
+
+      describe("Collapsed fields", () => {
+        let container;
+
+        beforeEach(() => {
+          container = document.createElement("div");
+          document.body.appendChild(container);
+        });
+
+        afterEach(() => {
+          unmountComponentAtNode(container);
+          document.body.removeChild(container);
+        });
+
+        it("should expand the collapsed fields to reach the field", () => {
+          const recursiveSchema = {
+            definitions: {
+              node: {
+                type: "object",
+                properties: {
+                  name: { type: "string" },
+                  child: { $ref: "#/definitions/node" },
+                },
+              },
+            },
+            type: "object",
+            required: ["child"],
+            properties: { child: { $ref: "#/definitions/node" } },
+          };
+          render(
+            <Form
+              schema={recursiveSchema}
+              formData={{}}
+              onError={onError}
+              safeRenderCompletion
+            />,
+            container
+          );
+
+          Simulate.submit(container.querySelector("form"));
+          Simulate.click(container.querySelector(".errors li a"));
+
+          return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+            expect(document.activeElement.id).eql("root_child_name");
+          });
+        });
+      });
+    });
+
+    describe("Declared error messages", () => {
+      it("should display the messages declared in the uiSchema", () => {
+        const { node } = createFormComponent({
+          schema: { type: "string", minLength: 3 },
+          uiSchema: {
+            "ui:errorMessages": { minLength: "At least {limit} characters" },
+          },
+          formData: "ab",
+          liveValidate: true,
+        });
+
+        expect(node.querySelector(".error-detail li").textContent).eql(
+          "At least 3 characters"
+        );
+        expect(node.querySelector(".errors li").textContent).eql(
+          "root: At least 3 characters"
+        );
+      });
+    });
+
+    describe("Default ErrorList", () => {
+      it("should only link to the fields without an onErrorClick handler", () => {
+        const container = document.createElement("div");
+        render(
+          <ErrorList
+            errors={[{ path: ["foo"], stack: "foo: is required" }]}
+            idSchema={{ $id: "root", foo: { $id: "root_foo" } }}
+            translate={message => message}
+          />,
+          container
+        );
+        const link = container.querySelector(".errors a");
+
+        Simulate.click(link);
+
+        expect(link.getAttribute("href")).eql("#root_foo");
+        unmountComponentAtNode(container);
+      });
+    });
+
     describe("Custom ErrorList", () => {
       const schema = {
         type: "string",
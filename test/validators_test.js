@@ -0,0 +1,271 @@
+import { expect } from "chai";
+import Ajv from "ajv";
+import sinon from "sinon";
+
+import createAjvValidator from "../src/validators/ajv";
+import jsonschemaValidator from "../src/validators/jsonschema";
+import { createFormComponent, setProps } from "./test_utils";
+
+describe("validators", () => {
+  const schema = {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string" },
+      tags: { type: "array", items: { type: "string", minLength: 2 } },
+      "a/b": { type: "number" },
+      color: { type: "string", format: "color" },
+    },
+  };
+  const formData = { tags: ["ok", "x"], "a/b": "1", color: "red" };
+
+  describe("jsonschemaValidator()", () => {
+    it("should return normalized errors", () => {
+      const errors = jsonschemaValidator(formData, schema);
+
+      expect(
+        errors.map(({ name, path, schemaPath, params }) => ({
+          name,
+          path,
+          schemaPath,
+          params,
+        }))
+      ).eql([
+        {
+          name: "required",
+          path: [],
+          schemaPath: "#/required",
+          params: { missingProperty: "name" },
+        },
+        {
+          name: "minLength",
+          path: ["tags", 1],
+          schemaPath: "#/properties/tags/items/minLength",
+          params: { limit: 2 },
+        },
+        {
+          name: "type",
+          path: ["a/b"],
+          schemaPath: "#/properties/a~1b/type",
+          params: { type: ["number"] },
+        },
+      ]);
+    });
+
+    it("should follow references to compute the schema paths", () => {
+      const errors = jsonschemaValidator(
+        { address: { zip: "abc" } },
+        {
+          definitions: {
+            address: {
+              type: "object",
+              properties: { zip: { type: "string", pattern: "^\\d+$" } },
+            },
+          },
+          properties: { address: { $ref: "#/definitions/address" } },
+        }
+      );
+
+      expect(errors[0].schemaPath).eql(
+        "#/definitions/address/properties/zip/pattern"
+      );
+    });
+
+    it("should point to the keywords of the composed subschemas", () => {
+      const errors = jsonschemaValidator(
+        { address: "x" },
+        {
+          $id: "http://example.com/person.json",
+          type: "object",
+          properties: { address: { type: "string" } },
+          allOf: [{ required: ["name"] }],
+          dependencies: { address: { required: ["zip"] } },
+          if: { required: ["address"] },
+          then: { required: ["city"] },
+        }
+      );
+
+      expect(
+        errors
+          .filter(error => error.name === "required")
+          .map(error => error.schemaPath)
+      ).eql([
+        "#/allOf/0/required",
+        "#/dependencies/address/required",
+        "#/then/required",
+      ]);
+    });
+
+    it("should report the errors of dependencies on the object", () => {
+      const errors = jsonschemaValidator(
+        { person: { email: "a@b.c", confirm: 1 } },
+        {
+          type: "object",
+          properties: {
+            person: {
+              type: "object",
+              properties: { email: { type: "string" } },
+              dependencies: {
+                email: {
+                  properties: { confirm: { type: "string" } },
+                  required: ["confirm", "name"],
+                },
+              },
+            },
+          },
+        }
+      );
+
+      expect(
+        errors
+          .filter(error => error.name !== "dependencies")
+          .map(({ name, path, property, stack }) => ({
+            name,
+            path,
+            property,
+            stack,
+          }))
+      ).eql([
+        {
+          name: "type",
+          path: ["person", "confirm"],
+          property: "instance.person.confirm",
+          stack: "instance.person.confirm is not of a type(s) string",
+        },
+        {
+          name: "required",
+          path: ["person"],
+          property: "instance.person",
+          stack: 'instance.person requires property "name"',
+        },
+      ]);
+    });
+  });
+
+  describe("createAjvValidator()", () => {
+    it("should return normalized errors", () => {
+      const validator = createAjvValidator();
+
+      const errors = validator(formData, schema);
+
+      expect(errors).eql([
+        {
+          name: "required",
+          path: [],
+          schemaPath: "#/required",
+          params: { missingProperty: "name" },
+          message: "should have required property 'name'",
+        },
+        {
+          name: "minLength",
+          path: ["tags", "1"],
+          schemaPath: "#/properties/tags/items/minLength",
+          params: { limit: 2 },
+          message: "should NOT be shorter than 2 characters",
+        },
+        {
+          name: "type",
+          path: ["a/b"],
+          schemaPath: "#/properties/a~1b/type",
+          params: { type: "number" },
+          message: "should be number",
+        },
+        {
+          name: "format",
+          path: ["color"],
+          schemaPath: "#/properties/color/format",
+          params: { format: "color" },
+          message: 'should match format "color"',
+        },
+      ]);
+    });
+
+    it("should return no errors for valid data", () => {
+      const validator = createAjvValidator();
+
+      expect(validator({ name: "foo" }, schema)).eql([]);
+    });
+
+    it("should evaluate the conditionals of a schema having an $id", () => {
+      const validator = createAjvValidator();
+      const conditionalSchema = {
+        $id: "http://example.com/person.json",
+        type: "object",
+        properties: { country: { type: "string" } },
+        if: { properties: { country: { enum: ["US"] } } },
+        then: { required: ["state"] },
+      };
+
+      expect(validator({ country: "FR" }, conditionalSchema)).eql([]);
+      expect(validator({ country: "US" }, conditionalSchema)).eql([
+        {
+          name: "required",
+          path: [],
+          schemaPath: "#/then/required",
+          params: { missingProperty: "state" },
+          message: "should have required property 'state'",
+        },
+      ]);
+    });
+
+    it("should compile each schema once", () => {
+      const ajv = new Ajv({ allErrors: true, unknownFormats: "ignore" });
+      const compile = sinon.spy(ajv, "compile");
+      const validator = createAjvValidator(ajv);
+
+      validator({}, schema);
+      validator({ name: "foo" }, schema);
+
+      expect(compile.calledOnce).eql(true);
+    });
+
+    it("should compile the form schema once across renderings", () => {
+      const ajv = new Ajv({ allErrors: true, unknownFormats: "ignore" });
+      const compile = sinon.spy(ajv, "compile");
+      const validator = createAjvValidator(ajv);
+      const refSchema = {
+        ...schema,
+        properties: {
+          ...schema.properties,
+          alias: { $ref: "#/properties/name" },
+        },
+      };
+      const { comp } = createFormComponent({
+        schema: refSchema,
+        formData,
+        validator,
+        liveValidate: true,
+      });
+
+      for (let index = 0; index < 5; index++) {
+        setProps(comp, {
+          schema: refSchema,
+          formData: { ...formData, name: `foo${index}` },
+          validator,
+          liveValidate: true,
+        });
+      }
+
+      expect(compile.calledOnce).eql(true);
+    });
+
+    it("should accept a preconfigured Ajv instance", () => {
+      const ajv = new Ajv({ allErrors: true });
+      ajv.addKeyword("even", {
+        validate: (enabled, data) => !enabled || data % 2 === 0,
+      });
+      const validator = createAjvValidator(ajv);
+
+      const errors = validator(
+        { foo: 3 },
+        {
+          properties: { foo: { type: "number", even: true } },
+        }
+      );
+
+      expect(errors).to.have.length.of(1);
+      expect(errors[0].name).eql("even");
+      expect(errors[0].path).eql(["foo"]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import React from "react";
+import { expect } from "chai";
+import { Simulate } from "react-addons-test-utils";
+
+import { withTheme } from "../src";
+import bootstrapTheme from "../src/themes/bootstrap";
+import { createComponent, createSandbox } from "./test_utils";
+
+describe("withTheme", () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  const schema = {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string" },
+      tags: { type: "array", items: { type: "string" } },
+      extra: { type: "object", additionalProperties: { type: "string" } },
+    },
+  };
+  const formData = { tags: ["a"], extra: { foo: "bar" } };
+
+  function createThemedFormComponent(theme, props) {
+    const ThemedForm = withTheme(theme);
+    return createComponent(ThemedForm, {
+      schema,
+      formData,
+      safeRenderCompletion: true,
+      ...props,
+    });
+  }
+
+  describe("Class names", () => {
+    it("should style the built-in components with Bootstrap by default", () => {
+      const { node } = createThemedFormComponent(bootstrapTheme);
+
+      expect(node.querySelector("#root_name").className).eql("form-control");
+      expect(node.querySelector("button[type=submit]").className).eql(
+        "btn btn-info"
+      );
+    });
+
+    it("should use the class names of the theme", () => {
+      const { node } = createThemedFormComponent({
+        classNames: {
+          input: "input",
+          button: "button button--{type}",
+        },
+      });
+
+      expect(node.querySelector("#root_name").className).eql("input");
+      expect(node.querySelector("button[type=submit]").className).eql(
+        "button button--info"
+      );
+      expect(node.querySelector(".array-item-remove").className).eql(
+        "button button--danger array-item-remove"
+      );
+    });
+
+    it("should use the Bootstrap class names the theme doesn't declare", () => {
+      const { node } = createThemedFormComponent({
+        classNames: { input: "input" },
+      });
+
+      expect(node.querySelector("#root_name").className).eql("input");
+      expect(node.querySelector("button[type=submit]").className).eql(
+        "btn btn-info"
+      );
+    });
+
+    it("should not render any Bootstrap class when the theme clears them", () => {
+      const classNames = Object.keys(bootstrapTheme.classNames).reduce(
+        (acc, part) => ({ ...acc, [part]: "" }),
+        {}
+      );
+      const { node } = createThemedFormComponent(
+        { classNames },
+        { onError: () => {} }
+      );
+
+      Simulate.submit(node);
+
+      expect(node.querySelectorAll(".errors")).to.have.length.of(1);
+      expect(
+        node.querySelectorAll(
+          [
+            ".btn",
+            ".form-control",
+            ".form-group",
+            ".row",
+            "[class*=col-xs]",
+            ".glyphicon",
+            ".panel",
+            ".list-group",
+            ".has-error",
+            ".text-danger",
+            ".help-block",
+          ].join(", ")
+        )
+      ).to.have.length.of(0);
+    });
+  });
+
+  describe("Components", () => {
+    function ThemeWidget(props) {
+      return <input className="theme-widget" id={props.id} />;
+    }
+
+    function ThemeFieldTemplate(props) {
+      return <div className="theme-field">{props.children}</div>;
+    }
+
+    function ThemeErrorList(props) {
+      return <div className="theme-errors">{props.errors.length}</div>;
+    }
+
+    const theme = {
+      ...bootstrapTheme,
+      widgets: { TextWidget: ThemeWidget },
+      FieldTemplate: ThemeFieldTemplate,
+      ErrorList: ThemeErrorList,
+    };
+
+    it("should render the widgets of the theme", () => {
+      const { node } = createThemedFormComponent(theme);
+
+      expect(node.querySelector("#root_name").className).eql("theme-widget");
+      expect(node.querySelector("#root_extra_foo__key")).not.eql(null);
+    });
+
+    it("should render the templates of the theme", () => {
+      const { node } = createThemedFormComponent(theme, { onError: () => {} });
+
+      Simulate.submit(node);
+
+      expect(node.querySelectorAll(".theme-field")).to.have.length.above(0);
+      expect(node.querySelector(".theme-errors").textContent).eql("1");
+    });
+
+    it("should give precedence to the props of the form", () => {
+      function PropWidget(props) {
+        return <input className="prop-widget" id={props.id} />;
+      }
+
+      const { node } = createThemedFormComponent(theme, {
+        widgets: { TextWidget: PropWidget },
+      });
+
+      expect(node.querySelector("#root_name").className).eql("prop-widget");
+    });
+
+    it("should expose the imperative API of the form", () => {
+      const { comp } = createThemedFormComponent(theme);
+
+      comp.setFieldValue("/name", "themed");
+
+      expect(comp.state.formData.name).eql("themed");
+    });
+  });
+});